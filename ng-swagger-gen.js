@@ -8,44 +8,248 @@ const path = require('path');
 const Mustache = require('mustache');
 const $RefParser = require('json-schema-ref-parser');
 var npmConfig = require('npm-conf');
+const optionsSchema = require('./ng-swagger-gen-schema.json');
 
 /**
- * Main generate function
+ * Main generate function, used by the command line.
+ * Errors are logged, and terminate the process.
  */
 function ngSwaggerGen(options) {
-  if (typeof options.swagger != 'string') {
-    console.error("Swagger file not specified in the 'swagger' option");
+  return generate(options).catch(error => {
+    console.error(error.message);
     process.exit(1);
+  });
+}
+
+/**
+ * Generates the API client without ever terminating the process.
+ * Returns a promise which resolves to an object with the generated files
+ * (`created`, `updated` and `unchanged`, plus `written`, which are both the
+ * created and updated ones), the removed stale files (`removed`), the
+ * `warnings`, the processed `models` and `services` descriptors and the local
+ * files which were read (`sources`), which are the swagger file and the files
+ * it refers.
+ * When the `dryRun` option is set, no files are actually written or removed,
+ * but the result still reports which ones would be.
+ * When the `targets` option is set, generates each target instead.
+ * On errors, the promise is rejected with a `GeneratorError`.
+ */
+function generate(options) {
+  if (options && options.targets != null) {
+    return generateTargets(options);
+  }
+  options = Object.assign({}, options);
+  if (options.timeout == null) {
+    options.timeout = optionsSchema.properties.timeout.default;
+  }
+  options.customFileSuffix = Object.assign({},
+    optionsSchema.properties.customFileSuffix.default, options.customFileSuffix);
+  var reporter = new Reporter(options.silent === true, options.dryRun === true);
+
+  if (typeof options.swagger != 'string') {
+    return Promise.reject(new GeneratorError('INVALID_OPTIONS',
+      "Swagger file not specified in the 'swagger' option"));
   }
 
   if (!options.skipProxySetup) {
     setupProxy();
   }
 
-  $RefParser.bundle(options.swagger,
+  var parser = new $RefParser();
+  return parser.bundle(options.swagger,
     { dereference: { circular: false },
     resolve: { http: { timeout: options.timeout } } }).then(
     data => {
-      doGenerate(data, options);
+      var result = doGenerate(data, options, reporter);
+      result.sources = parser.$refs.paths('file');
+      return result;
     },
     err => {
-      console.error(
-        `Error reading swagger location ${options.swagger}: ${err}`
-      );
-      process.exit(1);
+      throw new GeneratorError('READ_ERROR',
+        `Error reading swagger location ${options.swagger}: ${err}`, err);
     }
-  ).catch(function (error) {
-    console.error(`Error: ${error}`);
-    process.exit(1);
+  ).catch(error => {
+    throw error instanceof GeneratorError ? error :
+      new GeneratorError('GENERATION_ERROR', `Error: ${error}`, error);
+  });
+}
+
+/**
+ * Generates each of the given targets, whose options are merged over the
+ * other (shared) options. Targets are generated one at a time, and one which
+ * fails doesn't prevent the others from being generated. Returns a promise
+ * which resolves to the combined result of all targets, plus `targets`, with
+ * the `options` and either the `result` or the `error` of each one. If any
+ * target fails, the promise is rejected with a `TARGETS_ERROR`, whose
+ * `result` is the combined result.
+ */
+function generateTargets(options) {
+  var targets = options.targets;
+  if (!Array.isArray(targets) || targets.length === 0) {
+    return Promise.reject(new GeneratorError('INVALID_OPTIONS',
+      "The 'targets' option must be a non-empty array"));
+  }
+  var shared = Object.assign({}, options);
+  delete shared.targets;
+  var silent = options.silent === true;
+  var outcomes = [];
+  var failed = [];
+  var next = Promise.resolve();
+  targets.forEach((target, index) => {
+    var targetOptions = Object.assign({}, shared, target);
+    delete targetOptions.targets;
+    targetOptions.customFileSuffix = Object.assign({},
+      shared.customFileSuffix, (target || {}).customFileSuffix);
+    var label = 'target ' + (index + 1) +
+      (typeof targetOptions.swagger == 'string' ?
+        ' (' + targetOptions.swagger + ')' : '');
+    next = next.then(() => {
+      if (!silent) {
+        console.info('Generating ' + label);
+      }
+      return generate(targetOptions).then(
+        result => outcomes.push({ options: targetOptions, result: result }),
+        error => {
+          if (!silent) {
+            console.error('Error generating ' + label + ': ' + error.message);
+          }
+          outcomes.push({ options: targetOptions, error: error });
+          failed.push(label);
+        });
+    });
+  });
+  return next.then(() => {
+    var result = { targets: outcomes };
+    ['written', 'created', 'updated', 'unchanged', 'removed', 'warnings',
+      'models', 'services', 'sources'].forEach(key => {
+      result[key] = [];
+      outcomes.filter(outcome => outcome.result).forEach(outcome =>
+        result[key] = result[key].concat(outcome.result[key] || []));
+    });
+    if (!silent) {
+      console.info('All targets finished: ' +
+        (outcomes.length - failed.length) + ' succeeded and ' +
+        failed.length + ' failed, with ' +
+        result.created.length + ' created, ' +
+        result.updated.length + ' updated, ' +
+        result.unchanged.length + ' unchanged and ' +
+        result.removed.length + ' removed files');
+    }
+    if (failed.length > 0) {
+      var error = new GeneratorError('TARGETS_ERROR',
+        'Failed generating ' + failed.length + ' of ' + outcomes.length +
+        ' targets: ' + failed.join(', '));
+      error.result = result;
+      throw error;
+    }
+    return result;
   });
 }
 
+/**
+ * Error which causes the generation to fail. The code is one of:
+ * - INVALID_OPTIONS: The given options are invalid;
+ * - READ_ERROR: The swagger descriptor couldn't be read;
+ * - INVALID_SPEC: The swagger descriptor is not valid;
+ * - INVALID_REF: A reference in the swagger descriptor couldn't be resolved;
+ * - GENERATION_ERROR: Any other error, such as when writing files;
+ * - TARGETS_ERROR: Some of the targets failed. Each error is in `result`.
+ */
+function GeneratorError(code, message, cause) {
+  Error.call(this, message);
+  if (Error.captureStackTrace) {
+    Error.captureStackTrace(this, GeneratorError);
+  }
+  this.name = 'GeneratorError';
+  this.code = code;
+  this.message = message;
+  this.cause = cause;
+}
+GeneratorError.prototype = Object.create(Error.prototype);
+GeneratorError.prototype.constructor = GeneratorError;
+
+/**
+ * Class used to log the generation progress, also collecting the generated and
+ * removed files and the warnings
+ */
+function Reporter(silent, dryRun) {
+  this.silent = silent;
+  this.dryRun = dryRun;
+  this.created = [];
+  this.updated = [];
+  this.unchanged = [];
+  this.removed = [];
+  this.warnings = [];
+}
+/**
+ * Logs an informative message
+ */
+Reporter.prototype.info = function(message) {
+  if (!this.silent) {
+    console.info(message);
+  }
+};
+/**
+ * Logs and collects a warning
+ */
+Reporter.prototype.warn = function(message) {
+  this.warnings.push(message);
+  if (!this.silent) {
+    console.warn(message);
+  }
+};
+/**
+ * Logs and collects a file which didn't exist
+ */
+Reporter.prototype.fileCreated = function(file) {
+  this.created.push(file);
+  this.info((this.dryRun ? 'Would create ' : 'Created ') + file);
+};
+/**
+ * Logs and collects a file whose content has changed
+ */
+Reporter.prototype.fileUpdated = function(file) {
+  this.updated.push(file);
+  this.info((this.dryRun ? 'Would update ' : 'Updated ') + file);
+};
+/**
+ * Collects a file whose content has not changed
+ */
+Reporter.prototype.fileUnchanged = function(file) {
+  this.unchanged.push(file);
+};
+/**
+ * Logs and collects a removed file
+ */
+Reporter.prototype.fileRemoved = function(file) {
+  this.removed.push(file);
+  this.info((this.dryRun ? 'Would remove stale file ' :
+    'Removing stale file ') + file);
+};
+/**
+ * Logs the summary of the generated and removed files
+ */
+Reporter.prototype.summary = function() {
+  this.info((this.dryRun ? 'Dry run finished: ' : 'Generation finished: ') +
+    this.created.length + ' created, ' +
+    this.updated.length + ' updated, ' +
+    this.unchanged.length + ' unchanged and ' +
+    this.removed.length + ' removed files');
+};
+
+var proxyInitialized = false;
+
 /**
  * Sets up the environment to work behind proxies.
  * Uses global-agent from NodeJS >= 10,
  * and global-tunnel-ng for previous versions.
+ * As the setup is global, it is only performed once.
  */
 function setupProxy() {
+  if (proxyInitialized) {
+    return;
+  }
+  proxyInitialized = true;
   var globalAgent = require('global-agent');
   var globalTunnel = require('global-tunnel-ng');
   var proxyAddress = getProxyAndSetupEnv();
@@ -108,9 +312,10 @@ function getProxyAndSetupEnv() {
 }
 
 /**
- * Proceeds with the generation given the parsed swagger object
+ * Proceeds with the generation given the parsed swagger object, returning the
+ * generation result
  */
-function doGenerate(swagger, options) {
+function doGenerate(swagger, options, reporter) {
   if (!options.templates) {
     options.templates = path.join(__dirname, 'templates');
   }
@@ -118,17 +323,37 @@ function doGenerate(swagger, options) {
   var output = path.normalize(options.output || 'src/app/api');
   var prefix = options.prefix || 'Api';
 
-  if (swagger.swagger !== '2.0') {
-    console.error(
-      'Invalid swagger specification. Must be a 2.0. Currently ' +
-        swagger.swagger
+  if (/^3\.0(\.|$)/.test(swagger.openapi || '')) {
+    // OpenAPI 3.0 documents are converted to the Swagger 2.0 structure
+    swagger = fromOpenApi3(swagger, reporter);
+  } else if (swagger.swagger !== '2.0') {
+    throw new GeneratorError('INVALID_SPEC',
+      'Invalid swagger specification. Must be a 2.0 or an OpenAPI 3.0. ' +
+        'Currently ' + (swagger.swagger || swagger.openapi)
     );
-    process.exit(1);
   }
   swagger.paths = swagger.paths || {};
   swagger.models = swagger.models || [];
+  var useDates = options.dateType === 'Date';
+  // The enumModule option is kept for backwards compatibility
+  var enumStyle = options.enumStyle = options.enumStyle ||
+    (options.enumModule === false ? 'union' : 'module');
+  if (options.excludeDeprecated) {
+    removeDeprecated(swagger, reporter);
+  }
+  if (options.includeOperations || options.excludeOperations) {
+    applyOperationFilter(swagger, options, reporter);
+  }
+  if (options.hoistInlineModels) {
+    hoistInlineModels(swagger);
+  }
+  if (useDates) {
+    applyDateType(swagger);
+  }
   var models = processModels(swagger, options);
-  var services = processServices(swagger, models, options);
+  var securitySchemes = processSecuritySchemes(swagger, reporter);
+  var services = processServices(swagger, models, securitySchemes, options,
+    reporter);
 
   // Apply the tag filter. If includeTags is null, uses all services,
   // but still can remove unused models
@@ -140,7 +365,8 @@ function doGenerate(swagger, options) {
   if (typeof excludeTags == 'string') {
     options.excludeTags = excludeTags.split(',');
   }
-  applyTagFilter(models, services, options);
+  applyTagFilter(models, services, options, reporter);
+  var dates = useDates ? processDates(swagger, models, services) : null;
 
   // Read the templates
   var templates = {};
@@ -169,18 +395,33 @@ function doGenerate(swagger, options) {
   // Prepare the output folder
   const modelsOutput = path.join(output, 'models');
   const servicesOutput = path.join(output, 'services');
-  mkdirs(modelsOutput);
-  mkdirs(servicesOutput);
+  var dryRun = options.dryRun === true;
+  if (!dryRun) {
+    mkdirs(modelsOutput);
+    mkdirs(servicesOutput);
+  }
 
   var removeStaleFiles = options.removeStaleFiles !== false;
-  var generateEnumModule = options.enumModule !== false;
 
-  // Utility function to render a template and write it to a file
+  // Utility function to render a template and write it to a file.
+  // Files whose content is the same are not written, so file watchers are not
+  // triggered needlessly.
   var generate = function(template, model, file) {
     var code = Mustache.render(template, model, templates)
       .replace(/[^\S\r\n]+$/gm, '');
-    fs.writeFileSync(file, code, 'UTF-8');
-    console.info('Wrote ' + file);
+    var exists = fs.existsSync(file);
+    if (exists && fs.readFileSync(file, 'UTF-8') === code) {
+      reporter.fileUnchanged(file);
+      return;
+    }
+    if (!dryRun) {
+      fs.writeFileSync(file, code, 'UTF-8');
+    }
+    if (exists) {
+      reporter.fileUpdated(file);
+    } else {
+      reporter.fileCreated(file);
+    }
   };
 
   // Calculate the globally used names
@@ -191,6 +432,9 @@ function doGenerate(swagger, options) {
   var configurationClass = toClassName(prefix + 'Configuration');
   var configurationInterface = toClassName(prefix + 'ConfigurationInterface');
   var configurationFile = toFileName(configurationClass);
+  var providerFunction = 'provide' + toClassName(prefix);
+  var providerFile = toFileName(toClassName(prefix + 'Providers'))
+    .replace(/\-providers$/, '.providers');
 
   function applyGlobals(to) {
     to.prefix = prefix;
@@ -199,6 +443,9 @@ function doGenerate(swagger, options) {
     to.configurationClass = configurationClass;
     to.configurationInterface = configurationInterface;
     to.configurationFile = configurationFile;
+    to.providerFunction = providerFunction;
+    to.providerFile = providerFile;
+    to.useDates = useDates;
     return to;
   }
 
@@ -206,9 +453,6 @@ function doGenerate(swagger, options) {
   var modelsArray = [];
   for (var modelName in models) {
     var model = models[normalizeModelName(modelName)];
-    if (model.modelIsEnum) {
-      model.enumModule = generateEnumModule;
-    }
     applyGlobals(model);
 
     // When the model name differs from the class name, it will be duplicated
@@ -224,22 +468,65 @@ function doGenerate(swagger, options) {
     );
     if (options.generateExamples && model.modelExample) {
       var value = resolveRefRecursive(model.modelExample, swagger);
-      var example = JSON.stringify(value, null, 2);
-      example = example.replace(/'/g, "\\'");
-      example = example.replace(/"/g, "'");
-      example = example.replace(/\n/g, "\n  ");
-      model.modelExampleStr = example;
+      if (useDates || enumStyle === 'enum' || enumStyle === 'const enum') {
+        // Dates in the example are created as Date objects, and enum values
+        // reference the enum members
+        var exampleContext = new SampleContext(swagger, models, false);
+        model.modelExampleStr = toTypeScriptValue(exampleValue(value,
+          swagger.definitions[model.modelName], exampleContext), 1);
+        model.modelExampleImports = Array.from(exampleContext.imports)
+          .filter(dep => dep !== model);
+      } else {
+        var example = JSON.stringify(value, null, 2);
+        example = example.replace(/'/g, "\\'");
+        example = example.replace(/"/g, "'");
+        example = example.replace(/\n/g, "\n  ");
+        model.modelExampleStr = example;
+      }
       generate(
         templates.example,
         model,
         path.join(modelsOutput, model.modelExampleFile + '.ts')
       );
     }
+    if (options.generateValidators && model.modelIsObject) {
+      model.modelValidatorsParents = (model.modelParents || [])
+        .filter(parent => parent.modelIsObject);
+      generate(
+        templates.validators,
+        model,
+        path.join(modelsOutput, model.modelValidatorsFile + '.ts')
+      );
+      model.modelHasValidators = true;
+    }
+    if (options.generateForms && model.modelIsObject) {
+      processForm(model, models);
+      generate(
+        templates.form,
+        model,
+        path.join(modelsOutput, model.modelFormFile + '.ts')
+      );
+      model.modelHasForm = true;
+    }
+    if (options.generateMocks) {
+      var fixtureContext = new SampleContext(swagger, models, false);
+      model.modelFixtureValue = toTypeScriptValue(sampleValue(
+        { $ref: '#/definitions/' + model.modelName }, null, fixtureContext),
+        1);
+      model.modelFixtureImports = Array.from(fixtureContext.imports)
+        .filter(dep => dep !== model);
+      generate(
+        templates.fixture,
+        model,
+        path.join(modelsOutput, model.modelFixtureFile + '.ts')
+      );
+      model.modelHasFixture = true;
+    }
   }
   if (modelsArray.length > 0) {
     modelsArray[modelsArray.length - 1].modelIsLast = true;
   }
-  if (removeStaleFiles) {
+  if (removeStaleFiles && fs.existsSync(modelsOutput)) {
     var modelFiles = fs.readdirSync(modelsOutput);
     modelFiles.forEach((file, index) => {
       var ok = false;
@@ -248,13 +535,19 @@ function doGenerate(swagger, options) {
         var model = models[normalizeModelName(modelName)];
         if (basename == model.modelFile + '.ts'
           || basename == model.modelExampleFile + '.ts'
-            && model.modelExampleStr != null) {
+            && model.modelExampleStr != null
+          || basename == model.modelValidatorsFile + '.ts'
+            && model.modelHasValidators
+          || basename == model.modelFormFile + '.ts'
+            && model.modelHasForm
+          || basename == model.modelFixtureFile + '.ts'
+            && model.modelHasFixture) {
           ok = true;
           break;
         }
       }
       if (!ok) {
-        rmIfExists(path.join(modelsOutput, file));
+        rmIfExists(path.join(modelsOutput, file), reporter);
       }
     });
   }
@@ -264,13 +557,29 @@ function doGenerate(swagger, options) {
   if (options.modelIndex !== false) {
     generate(templates.models, { models: modelsArray }, modelIndexFile);
   } else if (removeStaleFiles) {
-    rmIfExists(modelIndexFile);
+    rmIfExists(modelIndexFile, reporter);
+  }
+
+  // Write the date metadata
+  var datesFile = path.join(output, 'dates.ts');
+  if (useDates) {
+    generate(templates.dates, dates, datesFile);
+  } else if (removeStaleFiles) {
+    rmIfExists(datesFile, reporter);
   }
 
   // Write the StrictHttpResponse type
   generate(templates.strictHttpResponse, {},
     path.join(output, 'strict-http-response.ts'));
 
+  // Write the TransferEvent type, used by operations which transfer files
+  var transferEventFile = path.join(output, 'transfer-event.ts');
+  if (Object.keys(services).some(name => services[name].serviceHasProgress)) {
+    generate(templates.transferEvent, {}, transferEventFile);
+  } else if (removeStaleFiles) {
+    rmIfExists(transferEventFile, reporter);
+  }
+
   // Write the services
   var servicesArray = [];
   for (var serviceName in services) {
@@ -284,24 +593,34 @@ function doGenerate(swagger, options) {
       service,
       path.join(servicesOutput, service.serviceFile + '.ts')
     );
+    if (options.generateMocks) {
+      processMock(service, swagger, models);
+      generate(
+        templates.serviceMock,
+        service,
+        path.join(servicesOutput, service.serviceMockFile + '.ts')
+      );
+    }
   }
   if (servicesArray.length > 0) {
     servicesArray[servicesArray.length - 1].serviceIsLast = true;
   }
-  if (removeStaleFiles) {
+  if (removeStaleFiles && fs.existsSync(servicesOutput)) {
     var serviceFiles = fs.readdirSync(servicesOutput);
     serviceFiles.forEach((file, index) => {
       var ok = false;
       var basename = path.basename(file);
       for (var serviceName in services) {
         var service = services[serviceName];
-        if (basename == service.serviceFile + '.ts') {
+        if (basename == service.serviceFile + '.ts'
+          || basename == service.serviceMockFile + '.ts'
+            && options.generateMocks) {
           ok = true;
           break;
         }
       }
       if (!ok) {
-        rmIfExists(path.join(servicesOutput, file));
+        rmIfExists(path.join(servicesOutput, file), reporter);
       }
     });
   }
@@ -311,18 +630,34 @@ function doGenerate(swagger, options) {
   if (options.serviceIndex !== false) {
     generate(templates.services, { services: servicesArray }, serviceIndexFile);
   } else if (removeStaleFiles) {
-    rmIfExists(serviceIndexFile);
+    rmIfExists(serviceIndexFile, reporter);
   }
 
+  // Write the registry of operations, which services set in the HttpContext
+  generate(templates.operations, applyGlobals({ services: servicesArray }),
+    path.join(output, 'operations.ts'));
+
   // Write the module
   var fullModuleFile = path.join(output, moduleFile + '.ts');
   if (options.apiModule !== false) {
     generate(templates.module, applyGlobals({
-        services: servicesArray
+        services: servicesArray,
+        securitySchemes: securitySchemes,
       }),
       fullModuleFile);
   } else if (removeStaleFiles) {
-    rmIfExists(fullModuleFile);
+    rmIfExists(fullModuleFile, reporter);
+  }
+
+  // Write the standalone provider function
+  var fullProviderFile = path.join(output, providerFile + '.ts');
+  if (options.apiProvider) {
+    generate(templates.provider, applyGlobals({
+        services: servicesArray,
+      }),
+      fullProviderFile);
+  } else if (removeStaleFiles) {
+    rmIfExists(fullProviderFile, reporter);
   }
 
   // Write the configuration
@@ -340,6 +675,7 @@ function doGenerate(swagger, options) {
 
     generate(templates.configuration, applyGlobals({
         rootUrl: rootUrl,
+        securitySchemes: securitySchemes,
       }),
       path.join(output, configurationFile + '.ts')
     );
@@ -347,9 +683,24 @@ function doGenerate(swagger, options) {
 
   // Write the BaseService
   {
-    generate(templates.baseService, applyGlobals({}),
+    generate(templates.baseService, applyGlobals({
+        securitySchemes: securitySchemes,
+        hasSecurity: securitySchemes.length > 0,
+      }),
       path.join(output, 'base-service.ts'));
   }
+
+  reporter.summary();
+  return {
+    written: reporter.created.concat(reporter.updated),
+    created: reporter.created,
+    updated: reporter.updated,
+    unchanged: reporter.unchanged,
+    removed: reporter.removed,
+    warnings: reporter.warnings,
+    models: modelsArray,
+    services: servicesArray,
+  };
 }
 
 function normalizeModelName(name) {
@@ -360,7 +711,7 @@ function normalizeModelName(name) {
  * Applies a filter over the given services, keeping only the specific tags.
  * Also optionally removes any unused models, even services are filtered.
  */
-function applyTagFilter(models, services, options) {
+function applyTagFilter(models, services, options, reporter) {
   var i;
   // Normalize the included tag names
   const includeTags = options.includeTags;
@@ -385,12 +736,14 @@ function applyTagFilter(models, services, options) {
   var usedModels = new Set();
   const addToUsed = (dep) => usedModels.add(dep);
   for (var serviceName in services) {
+    // Combined services are included when any of their tags is
+    var tags = services[serviceName].serviceTags;
     var include =
-      (!included || included.indexOf(serviceName) >= 0) &&
-      (!excluded || excluded.indexOf(serviceName) < 0);
+      (!included || tags.some(tag => included.indexOf(tag) >= 0)) &&
+      (!excluded || !tags.some(tag => excluded.indexOf(tag) >= 0));
     if (!include) {
       // This service is skipped - remove it
-      console.info(
+      reporter.info(
         'Ignoring service ' + serviceName + ' because it was not included'
       );
       delete services[serviceName];
@@ -414,7 +767,7 @@ function applyTagFilter(models, services, options) {
       var model = models[normalizeModelName(modelName)];
       if (!allDependencies.has(model.modelClass)) {
         // This model is not used - remove it
-        console.info(
+        reporter.info(
           'Ignoring model ' +
             modelName +
             ' because it was not used by any service'
@@ -460,12 +813,15 @@ function mkdirs(folderPath, mode) {
 }
 
 /**
- * Removes the given file if it exists (logging the action)
+ * Removes the given file if it exists (reporting the action).
+ * On dry runs, the action is only reported.
  */
-function rmIfExists(file) {
+function rmIfExists(file, reporter) {
   if (fs.existsSync(file)) {
-    console.info('Removing stale file ' + file);
-    fs.unlinkSync(file);
+    reporter.fileRemoved(file);
+    if (!reporter.dryRun) {
+      fs.unlinkSync(file);
+    }
   }
 }
 
@@ -613,8 +969,9 @@ DependenciesResolver.prototype.get = function() {
  * are simplified descriptors for models.
  */
 function processModels(swagger, options) {
-  var name, model, i, property;
+  var name, model, i, j, property;
   var models = {};
+  var enumStyle = options.enumStyle;
   for (name in swagger.definitions) {
     model = swagger.definitions[name];
     var parents = null;
@@ -622,7 +979,12 @@ function processModels(swagger, options) {
     var requiredProperties = null;
     var additionalPropertiesType = false;
     var example = model.example || null;
+    var discriminator = model.discriminator ||
+      ((model.allOf || []).find(val => !!val.discriminator) || {})
+        .discriminator;
     var enumValues = null;
+    var isNumericEnum = (model.type === 'integer' || model.type === 'number') &&
+      model.enum != null && model.enum.length > 0;
     var elementType = null;
     var simpleType = null;
     if (model.allOf != null && model.allOf.length > 0) {
@@ -635,17 +997,36 @@ function processModels(swagger, options) {
           simpleType = null;
           enumValues = null;
       }
-    } else if (model.type === 'string') {
-      enumValues = model.enum || [];
+    } else if (model.type === 'string' || isNumericEnum) {
+      enumValues = (model.enum || []).slice();
       if (enumValues.length == 0) {
         simpleType = 'string';
         enumValues = null;
       } else {
+        // The names may be given by vendor extensions
+        var enumNames = model['x-enum-varnames'] || model['x-enumNames'] || [];
+        var usedEnumNames = new Set();
         for (i = 0; i < enumValues.length; i++) {
           var enumValue = enumValues[i];
+          var enumName;
+          if (enumNames[i] != null) {
+            enumName = toEnumName(String(enumNames[i]));
+          } else if (isNumericEnum && enumValue < 0) {
+            enumName = 'MINUS' + toEnumName(String(-enumValue));
+          } else {
+            enumName = toEnumName(String(enumValue));
+          }
+          // Names which still collide get a number appended
+          var uniqueEnumName = enumName;
+          for (j = 2; usedEnumNames.has(uniqueEnumName); j++) {
+            uniqueEnumName = enumName + '_' + j;
+          }
+          usedEnumNames.add(uniqueEnumName);
           var enumDescriptor = {
-            enumName: toEnumName(enumValue),
+            enumName: uniqueEnumName,
             enumValue: String(enumValue).replace(/\'/g, '\\\''),
+            enumLiteral: isNumericEnum ? String(enumValue) :
+              '\'' + String(enumValue).replace(/\'/g, '\\\'') + '\'',
             enumIsLast: i === enumValues.length - 1,
           };
           enumValues[i] = enumDescriptor;
@@ -677,6 +1058,11 @@ function processModels(swagger, options) {
       modelParents: parents,
       modelIsObject: properties != null,
       modelIsEnum: enumValues != null,
+      modelIsNumericEnum: enumValues != null && isNumericEnum,
+      enumModule: enumValues != null && enumStyle === 'module',
+      enumIsEnum: enumValues != null &&
+        (enumStyle === 'enum' || enumStyle === 'const enum'),
+      enumIsConst: enumValues != null && enumStyle === 'const enum',
       modelIsArray: elementType != null,
       modelIsSimple: simpleType != null,
       modelSimpleType: simpleType,
@@ -685,9 +1071,23 @@ function processModels(swagger, options) {
       modelExample: example,
       modelAdditionalPropertiesType: additionalPropertiesType,
       modelExampleFile: toFileName(name) + options.customFileSuffix.example,
+      modelValidatorsFile:
+        toFileName(modelClass) + options.customFileSuffix.validators,
+      modelValidatorsName: modelClass + 'Validators',
+      modelFormFile: toFileName(modelClass) + options.customFileSuffix.form,
+      modelFormType: modelClass + 'Form',
+      modelFormFactory: 'create' + modelClass + 'Form',
+      modelFixtureFile:
+        toFileName(modelClass) + options.customFileSuffix.fixture,
+      modelFixtureFactory: 'create' + modelClass + 'Fixture',
       modelEnumValues: enumValues,
       modelElementType: elementType,
       modelSubclasses: [],
+      modelDiscriminator: discriminator == null ? null :
+        typeof discriminator === 'string' ? discriminator :
+          discriminator.propertyName,
+      modelDiscriminatorMapping: (discriminator || {}).mapping || null,
+      modelDiscriminatorValue: model['x-discriminator-value'] || name,
     };
 
     if (descriptor.properties != null) {
@@ -741,6 +1141,16 @@ function processModels(swagger, options) {
     }
   }
 
+  // Process the hierarchies of models with a discriminator
+  var discriminatorBases = new Set();
+  for (name in models) {
+    model = models[normalizeModelName(name)];
+    if (model.modelIsObject && model.modelDiscriminator) {
+      discriminatorBases.add(model);
+    }
+  }
+  discriminatorBases.forEach(processDiscriminator);
+
   // Now that the model hierarchy is ok, resolve the dependencies
   var addToDependencies = t => {
     if (Array.isArray(t.allTypes)) {
@@ -763,6 +1173,17 @@ function processModels(swagger, options) {
       })
     }
 
+    // The discriminated union references the subclasses, and the type guard
+    // references the base model
+    if (model.modelUnionSubclasses) {
+      model.modelUnionSubclasses.forEach(subclass => {
+        dependencies.add(subclass.modelName);
+      });
+    }
+    if (model.modelTypeGuard) {
+      dependencies.add(model.modelTypeGuard.baseClass);
+    }
+
     // Each property may add a dependency
     if (model.modelProperties) {
       for (i = 0; i < model.modelProperties.length; i++) {
@@ -785,106 +1206,1043 @@ function processModels(swagger, options) {
 }
 
 /**
- * Removes an array designation from the given type.
- * For example, "Array<a>" returns "a", "a[]" returns "a", while "b" returns "b".
- * A special case is for inline objects. In this case, the result is "object".
+ * Given a model which declares a discriminator, adds to it an union of all
+ * its subclasses. Also, in each subclass the discriminator property is typed
+ * with the values of that subclass, and a type guard function is generated.
  */
-function removeBrackets(type, nullOrUndefinedOnly) {
-  if(typeof nullOrUndefinedOnly === "undefined") {
-    nullOrUndefinedOnly = false;
+function processDiscriminator(base) {
+  // Collect all subclasses, including indirect ones
+  var descendants = model => {
+    var result = [];
+    model.modelSubclasses.forEach(subclass => {
+      if (result.indexOf(subclass) < 0) {
+        result.push(subclass);
+        descendants(subclass)
+          .filter(sub => result.indexOf(sub) < 0)
+          .forEach(sub => result.push(sub));
+      }
+    });
+    return result;
+  };
+  var subclasses = descendants(base);
+  if (subclasses.length === 0) {
+    return;
   }
-  if (typeof type === 'object') {
-    if (type.allTypes && type.allTypes.length === 1) {
-      return removeBrackets(type.allTypes[0], nullOrUndefinedOnly);
+
+  // The value is either explicitly mapped or the model name
+  var mapping = base.modelDiscriminatorMapping || {};
+  var discriminatorValue = model => {
+    for (var value in mapping) {
+      if (simpleRef(mapping[value]) === model.modelClass) {
+        return value;
+      }
     }
-    return 'object';
-  }
-  else if(type.replace(/ /g, '') !== type) {
-    return removeBrackets(type.replace(/ /g, ''));
-  }
-  else if(type.indexOf('null|') === 0) {
-    return removeBrackets(type.substr('null|'.length));
-  }
-  else if(type.indexOf('undefined|') === 0) {
-    // Not used currently, but robust code is better code :)
-    return removeBrackets(type.substr('undefined|'.length));
-  }
-  if (type == null || type.length === 0 || nullOrUndefinedOnly) {
-    return type;
-  }
-  var pos = type.indexOf('Array<');
-  if (pos >= 0) {
-    var start = 'Array<'.length;
-    return type.substr(start, type.length - start - 1);
-  }
-  pos = type.indexOf('[');
-  return pos >= 0 ? type.substr(0, pos) : type;
+    return model.modelDiscriminatorValue;
+  };
+
+  var discriminator = base.modelDiscriminator;
+  var propertyName = discriminator.indexOf('-') === -1 &&
+    discriminator.indexOf('.') === -1 ? discriminator : `"${discriminator}"`;
+  var accessor = /^[a-zA-Z_$][\w$]*$/.test(discriminator) ?
+    'value.' + discriminator : 'value[\'' + discriminator + '\']';
+  var toLiteral = model =>
+    '\'' + String(discriminatorValue(model)).replace(/\'/g, '\\\'') + '\'';
+
+  // Subclasses which are extended are narrowed to their own value in the union
+  base.modelUnionClass = base.modelClass + 'Union';
+  base.modelUnionSubclasses = subclasses;
+  base.modelUnionType = subclasses
+    .map(subclass => subclass.modelSubclasses.length === 0 ?
+      subclass.modelClass :
+      subclass.modelClass + ' & { ' + propertyName + ': ' +
+        toLiteral(subclass) + ' }')
+    .join(' |\n  ');
+  subclasses.forEach(subclass => {
+    if (subclass.modelTypeGuard) {
+      // Already handled by another base model
+      return;
+    }
+    // A subclass is also discriminated by the values of its own subclasses
+    var values = [subclass].concat(descendants(subclass)).map(toLiteral);
+    var literalType = values.join(' | ');
+    var ownProperty = (subclass.properties || {})[discriminator];
+    if (ownProperty) {
+      ownProperty.propertyType = literalType;
+      ownProperty.propertyRequired = true;
+    } else {
+      subclass.modelDiscriminatorProperty = {
+        propertyName: propertyName,
+        propertyType: literalType,
+      };
+    }
+    subclass.modelDiscriminatorName = discriminator;
+    subclass.modelDiscriminatorLiteral = toLiteral(subclass);
+    subclass.modelTypeGuard = {
+      guardName: 'is' + subclass.modelClass,
+      baseClass: base.modelClass,
+      condition: values
+        .map(value => accessor + ' === ' + value)
+        .join(' || '),
+    };
+  });
 }
 
 /**
- * Combine dependencies of multiple types.
- * @param types
- * @return {Array}
+ * Prepares the given object model for generating its reactive form, which has
+ * controls for all properties, including inherited ones. Properties referencing
+ * other object models become nested form groups, unless the references are
+ * circular, and arrays become form arrays. Optional nested form groups are
+ * disabled when their value is absent.
  */
-function mergeTypes(...types) {
-  let allTypes = [];
-  types.forEach(type => {
-    (type.allTypes || [type]).forEach(type => {
-      if (allTypes.indexOf(type) < 0) allTypes.push(type);
+function processForm(model, models) {
+  var objectModel = name => {
+    var result = name ? models[normalizeModelName(name)] : null;
+    return result && result.modelIsObject ? result : null;
+  };
+
+  // Returns the models nested as form groups in the given one
+  var nested = from => {
+    var result = [];
+    var hierarchy = [from];
+    for (var i = 0; i < hierarchy.length; i++) {
+      (hierarchy[i].modelParents || []).forEach(p => hierarchy.push(p));
+      (hierarchy[i].modelProperties || []).forEach(property => {
+        var ref = property.propertyIsArray ? null :
+          objectModel(property.propertyRef);
+        if (ref) {
+          result.push(ref);
+        }
+      });
+    }
+    return result;
+  };
+  var reaches = (from, to, visited) => {
+    if (from === to) {
+      return true;
+    }
+    if (visited.has(from)) {
+      return false;
+    }
+    visited.add(from);
+    return nested(from).some(next => reaches(next, to, visited));
+  };
+
+  // Collect the properties of all the hierarchy, the subclasses overriding
+  var properties = {};
+  var hierarchy = [];
+  var collect = current => {
+    if (hierarchy.indexOf(current) >= 0) {
+      return;
+    }
+    (current.modelParents || []).forEach(collect);
+    hierarchy.push(current);
+    for (var name in current.properties || {}) {
+      properties[name] = current.properties[name];
+    }
+  };
+  collect(model);
+
+  var accessorOf = name => /^[a-zA-Z_$][\w$]*$/.test(name) ?
+    'value?.' + name : 'value?.[' + toStringLiteral(name) + ']';
+  var controls = [];
+  var formModels = [];
+  for (var name in properties) {
+    var property = properties[name];
+    var accessor = accessorOf(name);
+    var validators = property.propertyValidators ?
+      ', [' + property.propertyValidators + ']' : '';
+    var control = {
+      controlName: property.propertyName,
+    };
+    var ref = property.propertyIsArray ? null :
+      objectModel(property.propertyRef);
+    var itemsRef = property.propertyIsArray ?
+      objectModel(property.propertyItemsRef) : null;
+    if (ref && !reaches(ref, model, new Set())) {
+      // Optional groups start disabled when absent, so they are not validated
+      control.controlType = ref.modelFormType;
+      control.controlInitializer = ref.modelFormFactory + '(' + accessor +
+        (property.propertyRequired ? '' : ', ' + accessor + ' == null') + ')';
+      formModels.push(ref);
+    } else if (itemsRef) {
+      control.controlType = 'FormArray<' + itemsRef.modelFormType + '>';
+      control.controlInitializer = 'new ' + control.controlType + '((' +
+        accessor + ' ?? []).map(item => ' + itemsRef.modelFormFactory +
+        '(item))' + validators + ')';
+      formModels.push(itemsRef);
+    } else if (property.propertyIsArray) {
+      var itemControl = 'FormControl<' + property.propertyItemType + ' | null>';
+      control.controlType = 'FormArray<' + itemControl + '>';
+      control.controlInitializer = 'new ' + control.controlType + '((' +
+        accessor + ' ?? []).map(item => new ' + itemControl + '(item))' +
+        validators + ')';
+    } else {
+      var type = property.propertyType;
+      var initial = 'null';
+      if (name === model.modelDiscriminatorName) {
+        // Subclasses are initialized with their discriminator value
+        type = (model.modelDiscriminatorProperty || property).propertyType;
+        initial = model.modelDiscriminatorLiteral;
+      }
+      control.controlType = 'FormControl<' + type + ' | null>';
+      control.controlInitializer = 'new ' + control.controlType + '(' +
+        accessor + ' ?? ' + initial + validators + ')';
+    }
+    controls.push(control);
+  }
+  if (model.modelDiscriminatorProperty &&
+    !properties.hasOwnProperty(model.modelDiscriminatorName)) {
+    // The discriminator is not declared in the hierarchy
+    var discriminatorControl = 'FormControl<' +
+      model.modelDiscriminatorProperty.propertyType + ' | null>';
+    controls.unshift({
+      controlName: model.modelDiscriminatorProperty.propertyName,
+      controlType: discriminatorControl,
+      controlInitializer: 'new ' + discriminatorControl + '(' +
+        accessorOf(model.modelDiscriminatorName) + ' ?? ' +
+        model.modelDiscriminatorLiteral + ')',
     });
+  }
+
+  // The types used by the controls are the dependencies of the hierarchy
+  var dependencies = [];
+  hierarchy.forEach(current => (current.modelDependencies || [])
+    .forEach(dependency => {
+      if (dependency !== model && dependencies.indexOf(dependency) < 0) {
+        dependencies.push(dependency);
+      }
+    }));
+  model.modelFormControls = controls;
+  model.modelFormDependencies = dependencies;
+  model.modelFormImports = formModels
+    .filter((formModel, i) => formModel !== model &&
+      formModels.indexOf(formModel) === i);
+}
+
+/**
+ * Prepares the given service for generating its mock, where each operation
+ * returns the sample data of its successful response
+ */
+function processMock(service, swagger, models) {
+  var context = new SampleContext(swagger, models, true);
+  service.serviceOperations.forEach(operation => {
+    var responses = operation.operationResponses;
+    var schema = responses.resultSchema;
+    operation.operationMockStatus = Number(responses.resultCode) || 200;
+    operation.operationMockValue = toTypeScriptValue(
+      schema ? sampleValue(schema, null, context) : null, 3);
   });
-  return allTypes;
+  service.serviceMockFixtures = Array.from(context.fixtures)
+    .sort((a, b) => a.modelClass < b.modelClass ? -1 :
+      a.modelClass > b.modelClass ? 1 : 0);
 }
 
 /**
- * Returns the TypeScript property type for the given raw property
+ * The state used while generating sample data. When using factories,
+ * referenced models are obtained from their fixture factories, otherwise
+ * they are inlined, stopping on circular references. The models referenced by
+ * the generated code, such as TypeScript enums, are collected as imports.
  */
-function propertyType(property) {
-  var type;
-  if (property === null || property.type === null) {
-    return 'null';
-  } else if (property.$ref != null) {
-    // Type is a reference
-    return simpleRef(property.$ref);
-  } else if (property['x-type']) {
-    // Type is read from the x-type vendor extension
-    type = (property['x-type'] || '').toString().replace('List<', 'Array<');
-    return type.length == 0 ? 'null' : type;
-  } else if (property['x-nullable']) {
-    return 'null | ' + propertyType(
-      Object.assign(property, {'x-nullable': undefined}));
-  } else if (!property.type && (property.anyOf || property.oneOf)) {
-    let variants = (property.anyOf || property.oneOf).map(propertyType);
-    return {
-      allTypes: mergeTypes(...variants),
-      toString: () => variants.join(' | ')
-    };
-  } else if (!property.type && property.allOf) {
-    // Do not want to include x-nullable types as part of an allOf union.
-    let variants = (property.allOf).filter(prop => !prop['x-nullable']).map(propertyType);
+function SampleContext(swagger, models, useFactories) {
+  this.swagger = swagger;
+  this.models = models;
+  this.useFactories = useFactories;
+  this.fixtures = new Set();
+  this.imports = new Set();
+  this.stack = [];
+}
 
-    return {
-      allTypes: mergeTypes(...variants),
-      toString: () => variants.join(' & ')
-    };
-  } else if (Array.isArray(property.type)) {
-    let variants = property.type.map(type => propertyType(Object.assign({}, property, {type})));
-    return {
-      allTypes: mergeTypes(...variants),
-      toString: () => variants.join(' | ')
-    };
+/**
+ * A TypeScript expression used as is in sample data
+ */
+function SampleCode(code) {
+  this.code = code;
+}
+
+/**
+ * Returns deterministic sample data for the given schema. Examples are used
+ * when present, otherwise the data is synthesized from the schema. Returns
+ * undefined for circular references, so optional properties are omitted and
+ * arrays are empty.
+ */
+function sampleValue(schema, name, context) {
+  schema = schema || {};
+  var value, i;
+  if (schema.$ref) {
+    var ref = simpleRef(schema.$ref);
+    var model = context.models[normalizeModelName(ref)];
+    if (context.useFactories && model) {
+      context.fixtures.add(model);
+      return new SampleCode(model.modelFixtureFactory + '()');
+    }
+    if (model && model.enumIsEnum && model.modelEnumValues.length > 0) {
+      context.imports.add(model);
+      return new SampleCode(model.modelClass + '.' +
+        model.modelEnumValues[0].enumName);
+    }
+    if (context.stack.indexOf(ref) >= 0) {
+      return undefined;
+    }
+    context.stack.push(ref);
+    value = sampleValue(resolveRef(context.swagger, schema.$ref), name,
+      context);
+    context.stack.pop();
+    var discriminator = model &&
+      (model.modelDiscriminatorName || model.modelDiscriminator);
+    if (discriminator && value && typeof value === 'object' &&
+      !Array.isArray(value)) {
+      value[discriminator] = new SampleCode(model.modelDiscriminatorLiteral ||
+        toStringLiteral(model.modelDiscriminatorValue));
+    }
+    return value;
   }
-  switch (property.type) {
-    case 'null':
-      return 'null';
+  if (schema.example !== undefined) {
+    return exampleValue(resolveRefRecursive(
+      JSON.parse(JSON.stringify(schema.example)), context.swagger),
+      schema, context);
+  }
+  if (isDateSchema(schema)) {
+    return new SampleCode(toDateCode(sampleString(schema), schema.format));
+  }
+  if (schema.enum && schema.enum.length > 0) {
+    return schema.enum[0];
+  }
+  if (schema.allOf) {
+    value = {};
+    schema.allOf.forEach(part => {
+      Object.assign(value, sampleValue(part, name, context));
+    });
+    return value;
+  }
+  if (schema.anyOf || schema.oneOf) {
+    return sampleValue((schema.anyOf || schema.oneOf)[0], name, context);
+  }
+  switch (schema.type) {
     case 'string':
-      if (property.enum && property.enum.length > 0) {
-        return '\'' + property.enum.join('\' | \'') + '\'';
+      return sampleString(schema, name);
+    case 'integer':
+    case 'number':
+      if (schema.minimum != null) {
+        return schema.minimum + (schema.exclusiveMinimum ? 1 : 0);
       }
-      else if (property.const) {
-        return '\'' + property.const + '\'';
+      if (schema.maximum != null && schema.maximum < 1) {
+        return schema.maximum - (schema.exclusiveMaximum ? 1 : 0);
       }
-      else if (property.format === 'byte') {
+      return 1;
+    case 'boolean':
+      return true;
+    case 'file':
+      return new SampleCode('new Blob()');
+    case 'array':
+      if (Array.isArray(schema.items)) {
+        value = [];
+        for (i = 0; i < (schema.minItems || 0); i++) {
+          value.push(sampleValue(schema.items[i] || schema.additionalItems,
+            name, context));
+        }
+        return value;
+      }
+      value = sampleValue(schema.items, name, context);
+      return value === undefined || schema.maxItems === 0 ? [] : [value];
+    case 'object':
+    case undefined:
+      if (!schema.properties && schema.type === undefined) {
+        return null;
+      }
+      value = {};
+      for (var property in schema.properties || {}) {
+        var propertyValue = sampleValue(schema.properties[property],
+          property, context);
+        if (propertyValue === undefined &&
+          (schema.required || []).indexOf(property) >= 0) {
+          // A required circular reference cannot be fulfilled
+          propertyValue = new SampleCode('null as any');
+        }
+        if (propertyValue !== undefined) {
+          value[property] = propertyValue;
+        }
+      }
+      return value;
+    default:
+      return null;
+  }
+}
+
+/**
+ * Returns a sample string for the given schema, according to its format or,
+ * for plain strings, the property name
+ */
+function sampleString(schema, name) {
+  switch (schema.format) {
+    case 'date':
+      return '2020-01-01';
+    case 'date-time':
+      return '2020-01-01T00:00:00Z';
+    case 'uuid':
+      return '00000000-0000-0000-0000-000000000000';
+    case 'email':
+      return 'user@example.com';
+    case 'uri':
+    case 'url':
+      return 'https://example.com';
+    case 'byte':
+    case 'binary':
+      return '';
+  }
+  var value = name || 'string';
+  while (schema.minLength > value.length) {
+    value += value;
+  }
+  return schema.maxLength != null ? value.substr(0, schema.maxLength) : value;
+}
+
+/**
+ * Returns the TypeScript expression for the given sample data, indenting
+ * nested lines by the given level. Without a level, a single line is returned.
+ */
+function toTypeScriptValue(value, level) {
+  var indent = '  '.repeat(level || 0);
+  var nested = level == null ? null : level + 1;
+  var join = items => level == null ? items.join(', ') :
+    '\n' + items.map(item => indent + '  ' + item).join(',\n') + '\n' + indent;
+  if (value instanceof SampleCode) {
+    return value.code;
+  } else if (value == null) {
+    return 'null';
+  } else if (typeof value === 'string') {
+    return toStringLiteral(value);
+  } else if (Array.isArray(value)) {
+    if (value.length === 0) {
+      return '[]';
+    }
+    return '[' + join(value.map(item => toTypeScriptValue(item, nested))) +
+      ']';
+  } else if (typeof value === 'object') {
+    var keys = Object.keys(value);
+    if (keys.length === 0) {
+      return '{}';
+    }
+    var entries = keys.map(key =>
+      (/^[a-zA-Z_$][\w$]*$/.test(key) ? key : toStringLiteral(key)) + ': ' +
+      toTypeScriptValue(value[key], nested));
+    return level == null ? '{ ' + join(entries) + ' }' :
+      '{' + join(entries) + '}';
+  }
+  return String(value);
+}
+
+/**
+ * Removes from the given swagger the operations which are not matched by any of
+ * the includeOperations rules (when given) or are matched by any of the
+ * excludeOperations rules. Done before processing the services, so models
+ * only used by removed operations are later ignored as unused.
+ */
+function applyOperationFilter(swagger, options, reporter) {
+  var toMatchers = (rules, option) => {
+    if (rules == null) {
+      return null;
+    }
+    if (!Array.isArray(rules)) {
+      throw new GeneratorError('INVALID_OPTIONS',
+        "The '" + option + "' option must be an array of rules");
+    }
+    return rules.map(rule => operationMatcher(rule, option));
+  };
+  var included = toMatchers(options.includeOperations, 'includeOperations');
+  var excluded = toMatchers(options.excludeOperations, 'excludeOperations');
+  for (var url in swagger.paths) {
+    var pathItem = swagger.paths[url] || {};
+    HTTP_METHODS.forEach(method => {
+      var def = pathItem[method];
+      if (!def) {
+        return;
+      }
+      var matches = matcher => matcher(url, method, def);
+      var include = (!included || included.some(matches)) &&
+        (!excluded || !excluded.some(matches));
+      if (!include) {
+        reporter.info('Ignoring operation ' +
+          (def.operationId || method.toUpperCase() + ' ' + url) +
+          ' because it was not included');
+        delete pathItem[method];
+      }
+    });
+  }
+}
+
+/**
+ * Returns a function which tests whether an operation, given its URL, method
+ * and definition, matches the given filter rule. All criteria present in the
+ * rule must match.
+ */
+function operationMatcher(rule, option) {
+  var toArray = value => value == null ? null :
+    Array.isArray(value) ? value : [value];
+  if (!rule || typeof rule !== 'object' || Array.isArray(rule)) {
+    throw new GeneratorError('INVALID_OPTIONS',
+      "Each rule in the '" + option + "' option must be an object");
+  }
+  var paths = toArray(rule.path);
+  var patterns = paths ? paths.map(globToRegExp) : null;
+  var methods = toArray(rule.methods);
+  if (methods) {
+    methods = methods.map(method => String(method).toLowerCase());
+  }
+  var operationIds = toArray(rule.operationIds);
+  var extensions = rule.extensions || {};
+  return (url, method, def) =>
+    (!patterns || patterns.some(pattern => pattern.test(url))) &&
+    (!methods || methods.indexOf(method) >= 0) &&
+    (!operationIds || operationIds.indexOf(def.operationId) >= 0) &&
+    Object.keys(extensions).every(name =>
+      JSON.stringify(def[name]) === JSON.stringify(extensions[name]));
+}
+
+/**
+ * Converts a glob pattern for URL paths into a regular expression. A `**`
+ * matches any number of path segments (including none), `*` matches any
+ * characters within a segment and `?` matches a single character other than
+ * `/`.
+ */
+function globToRegExp(glob) {
+  var parts = /\/\*\*$|\*\*\/?|[*?]|(?:[^*?\/]|\/(?!\*\*$))+/g;
+  var regexp = String(glob).replace(parts, part => {
+    if (part === '/**') {
+      return '(?:/.*)?';
+    } else if (part.startsWith('**')) {
+      return part.length > 2 ? '(?:.*/)?' : '.*';
+    } else if (part === '*') {
+      return '[^/]*';
+    } else if (part === '?') {
+      return '[^/]';
+    }
+    return part.replace(/[.+^${}()|[\]\\]/g, '\\$&');
+  });
+  return new RegExp('^' + regexp + '$');
+}
+
+/**
+ * Removes from the given swagger the deprecated operations, parameters and
+ * schema properties. Path parameters are kept, as they are needed for the URL.
+ */
+function removeDeprecated(swagger, reporter) {
+  var visit = schema => {
+    if (!schema || typeof schema !== 'object') {
+      return;
+    }
+    for (var name in schema.properties || {}) {
+      var property = schema.properties[name];
+      if (property && property.deprecated) {
+        delete schema.properties[name];
+        if (Array.isArray(schema.required)) {
+          schema.required = schema.required.filter(req => req !== name);
+        }
+      } else {
+        visit(property);
+      }
+    }
+    visit(schema.items);
+    visit(schema.additionalProperties);
+    (schema.allOf || []).concat(schema.anyOf || [], schema.oneOf || [])
+      .forEach(visit);
+  };
+  var keepParameters = parameters => (parameters || []).filter(param => {
+    var resolved = param.$ref ? resolveRef(swagger, param.$ref) : param;
+    visit(resolved.schema);
+    return !resolved.deprecated || resolved.in === 'path';
+  });
+  var name;
+  for (name in swagger.definitions) {
+    visit(swagger.definitions[name]);
+  }
+  for (name in swagger.responses) {
+    visit(swagger.responses[name].schema);
+  }
+  for (var url in swagger.paths) {
+    var pathItem = swagger.paths[url] || {};
+    if (pathItem.parameters) {
+      pathItem.parameters = keepParameters(pathItem.parameters);
+    }
+    for (var method in pathItem) {
+      var def = pathItem[method];
+      if (method === 'parameters' || !def) {
+        continue;
+      }
+      if (def.deprecated) {
+        reporter.info('Ignoring deprecated operation ' +
+          (def.operationId || method.toUpperCase() + ' ' + url));
+        delete pathItem[method];
+        continue;
+      }
+      if (def.parameters) {
+        def.parameters = keepParameters(def.parameters);
+      }
+      for (var code in def.responses) {
+        visit(def.responses[code].schema);
+      }
+    }
+  }
+}
+
+/**
+ * Moves the inline object schemas in models, body parameters and responses to
+ * new definitions, replacing them by references. The names are derived from
+ * the model and property names, or from the operation id plus the parameter
+ * name or response status, such as `PetOwner`, `CreatePetBody` or
+ * `ListPets200Response`. Array items and map values get the `Item` and
+ * `Value` suffixes, and a number is appended on name clashes.
+ */
+function hoistInlineModels(swagger) {
+  var definitions = swagger.definitions = swagger.definitions || {};
+  var taken = new Set();
+  Object.keys(definitions).forEach(name => {
+    taken.add(normalizeModelName(name));
+    taken.add(normalizeModelName(toClassName(name)));
+  });
+  var hoisted = new Map();
+  var nullable = new Set();
+  var className = name => toClassName(toIdentifier(String(name)));
+  var hoist = (schema, name) => {
+    if (!schema || typeof schema !== 'object' || schema.$ref) {
+      return schema;
+    }
+    var isObject = schema.properties &&
+      Object.keys(schema.properties).length > 0 &&
+      (schema.type == null || schema.type === 'object') &&
+      !schema.allOf && !schema.enum && !schema['x-type'];
+    if (!isObject) {
+      hoistNested(schema, name);
+      return schema;
+    }
+    var modelName = hoisted.get(schema);
+    if (modelName == null) {
+      modelName = name;
+      for (var i = 2; taken.has(normalizeModelName(modelName)); i++) {
+        modelName = name + i;
+      }
+      taken.add(normalizeModelName(modelName));
+      hoisted.set(schema, modelName);
+      definitions[modelName] = schema;
+      hoistNested(schema, name);
+    }
+    // The description and nullability belong to the usage, not the model
+    var ref = { $ref: '#/definitions/' + modelName };
+    if (schema['x-nullable']) {
+      nullable.add(schema);
+      delete schema['x-nullable'];
+    }
+    var result = nullable.has(schema) ?
+      { allOf: [ref], 'x-nullable': true } : ref;
+    ['description', 'deprecated', 'readOnly'].forEach(key => {
+      if (schema[key] != null) {
+        result[key] = schema[key];
+      }
+    });
+    return result;
+  };
+  var hoistNested = (schema, name) => {
+    for (var property in schema.properties || {}) {
+      schema.properties[property] =
+        hoist(schema.properties[property], name + className(property));
+    }
+    if (schema.items && !Array.isArray(schema.items)) {
+      schema.items = hoist(schema.items, name + 'Item');
+    }
+    if (typeof schema.additionalProperties === 'object') {
+      schema.additionalProperties =
+        hoist(schema.additionalProperties, name + 'Value');
+    }
+    // Inline parts of a composition keep their place, as the inline part of
+    // an allOf holds the own properties of a subclass
+    (schema.allOf || []).concat(schema.anyOf || [], schema.oneOf || [])
+      .forEach(part => hoistNested(part, name));
+  };
+  var name;
+  Object.keys(definitions).forEach(definition =>
+    hoistNested(definitions[definition], className(definition)));
+  for (name in swagger.parameters) {
+    var param = swagger.parameters[name];
+    if (param.schema) {
+      param.schema = hoist(param.schema, className(name));
+    }
+  }
+  for (name in swagger.responses) {
+    var response = swagger.responses[name];
+    if (response.schema) {
+      response.schema = hoist(response.schema, className(name) + 'Response');
+    }
+  }
+  for (var url in swagger.paths) {
+    var pathItem = swagger.paths[url] || {};
+    HTTP_METHODS.forEach(method => {
+      var def = pathItem[method];
+      if (!def) {
+        return;
+      }
+      var id = className(def.operationId || method + url);
+      (def.parameters || []).forEach(param => {
+        if (param.schema) {
+          param.schema = hoist(param.schema, id + className(param.name));
+        }
+      });
+      for (var code in def.responses) {
+        var response = def.responses[code];
+        if (response && response.schema) {
+          response.schema = hoist(response.schema,
+            id + (/^\d/.test(code) ? code : className(code)) + 'Response');
+        }
+      }
+    });
+  }
+}
+
+/**
+ * Types the date and date-time strings in models, body parameters and
+ * responses as `Date`, using the x-type extension, unless already set
+ */
+function applyDateType(swagger) {
+  var visit = schema => {
+    if (!schema || typeof schema !== 'object') {
+      return;
+    }
+    if (schema.type === 'string' && !schema['x-type'] &&
+      (schema.format === 'date' || schema.format === 'date-time')) {
+      schema['x-type'] = schema['x-nullable'] ? 'null | Date' : 'Date';
+    }
+    for (var name in schema.properties || {}) {
+      visit(schema.properties[name]);
+    }
+    visit(schema.items);
+    visit(schema.additionalProperties);
+    (schema.allOf || []).concat(schema.anyOf || [], schema.oneOf || [])
+      .forEach(visit);
+  };
+  var visitParameters = parameters => (parameters || [])
+    .filter(parameter => parameter.in === 'body')
+    .forEach(parameter => visit(parameter.schema));
+  var name;
+  for (name in swagger.definitions) {
+    visit(swagger.definitions[name]);
+  }
+  for (name in swagger.parameters) {
+    visitParameters([swagger.parameters[name]]);
+  }
+  for (name in swagger.responses) {
+    visit(swagger.responses[name].schema);
+  }
+  for (var url in swagger.paths) {
+    var pathItem = swagger.paths[url] || {};
+    visitParameters(pathItem.parameters);
+    for (var method in pathItem) {
+      if (method !== 'parameters' && pathItem[method]) {
+        visitParameters(pathItem[method].parameters);
+        for (var code in pathItem[method].responses) {
+          visit(pathItem[method].responses[code].schema);
+        }
+      }
+    }
+  }
+}
+
+/**
+ * Returns whether the given schema is a date typed as `Date`
+ */
+function isDateSchema(schema) {
+  return (schema.format === 'date' || schema.format === 'date-time') &&
+    String(schema['x-type'] || '').split(' | ').indexOf('Date') >= 0;
+}
+
+/**
+ * Returns the code which creates a `Date` from the given string. Dates without
+ * time are created in the local time zone.
+ */
+function toDateCode(value, format) {
+  var match = /^(\d{4})-(\d{2})-(\d{2})$/.exec(value);
+  if (format === 'date' && match) {
+    return 'new Date(' + Number(match[1]) + ', ' + (Number(match[2]) - 1) +
+      ', ' + Number(match[3]) + ')';
+  }
+  return 'new Date(' + toStringLiteral(value) + ')';
+}
+
+/**
+ * Replaces, in the given example value, the date strings by the code which
+ * creates the corresponding `Date`, and the values of TypeScript enums by the
+ * enum members, which are collected in the context imports
+ */
+function exampleValue(value, schema, context) {
+  schema = schema || {};
+  if (value == null) {
+    return value;
+  } else if (schema.$ref) {
+    var model = context.models[normalizeModelName(simpleRef(schema.$ref))];
+    if (model && model.enumIsEnum) {
+      var member = enumMember(model, value);
+      if (member) {
+        context.imports.add(model);
+        return new SampleCode(member);
+      }
+    }
+    return exampleValue(value, resolveRef(context.swagger, schema.$ref),
+      context);
+  } else if (isDateSchema(schema)) {
+    return typeof value === 'string' ?
+      new SampleCode(toDateCode(value, schema.format)) : value;
+  } else if (schema.allOf) {
+    schema.allOf.forEach(part => {
+      value = exampleValue(value, part, context);
+    });
+  } else if (Array.isArray(value)) {
+    return value.map(item => exampleValue(item, schema.items, context));
+  }
+  if (typeof value === 'object') {
+    var properties = schema.properties || {};
+    for (var name in value) {
+      if (properties.hasOwnProperty(name)) {
+        value[name] = exampleValue(value[name], properties[name], context);
+      } else if (typeof schema.additionalProperties === 'object') {
+        value[name] = exampleValue(value[name], schema.additionalProperties,
+          context);
+      }
+    }
+  }
+  return value;
+}
+
+/**
+ * Returns the reference to the member of the given enum model with the given
+ * value, or null if there is none
+ */
+function enumMember(model, value) {
+  var literal = typeof value === 'number' ? String(value) :
+    '\'' + String(value).replace(/\'/g, '\\\'') + '\'';
+  var member = (model.modelEnumValues || [])
+    .find(enumValue => enumValue.enumLiteral === literal);
+  return member ? model.modelClass + '.' + member.enumName : null;
+}
+
+/**
+ * Returns the metadata describing where the dates are in values of the given
+ * schema, or null if there are none. The metadata is either the date format,
+ * the name of a model with dates, an array with the metadata of the items or
+ * an object with the metadata of each property, where '*' is used for the
+ * additional properties.
+ */
+function dateMetadata(schema, datedModels, swagger) {
+  schema = schema || {};
+  if (schema.$ref) {
+    var ref = simpleRef(schema.$ref);
+    return datedModels.has(ref) ? ref : null;
+  } else if (isDateSchema(schema)) {
+    return schema.format;
+  } else if (schema.type === 'array') {
+    var items = Array.isArray(schema.items) ? null :
+      dateMetadata(schema.items, datedModels, swagger);
+    return items == null ? null : [items];
+  }
+  var result = {};
+  // Inherited properties are inlined
+  (schema.allOf || []).forEach(part => {
+    var inherited = dateMetadata(part.$ref ? resolveRef(swagger, part.$ref) :
+      part, datedModels, swagger);
+    if (inherited && typeof inherited === 'object' &&
+      !Array.isArray(inherited)) {
+      Object.assign(result, inherited);
+    }
+  });
+  for (var name in schema.properties || {}) {
+    var property = dateMetadata(schema.properties[name], datedModels, swagger);
+    if (property != null) {
+      result[name] = property;
+    }
+  }
+  if (typeof schema.additionalProperties === 'object') {
+    var additional = dateMetadata(schema.additionalProperties, datedModels,
+      swagger);
+    if (additional != null) {
+      result['*'] = additional;
+    }
+  }
+  return Object.keys(result).length === 0 ? null : result;
+}
+
+/**
+ * Resolves the date metadata of models, operation results and body
+ * parameters, which is used to revive and serialize dates. Returns the
+ * descriptor for the dates file.
+ */
+function processDates(swagger, models, services) {
+  var name, model;
+  // Find the models which contain dates, directly or not, or which have
+  // subclasses containing dates
+  var datedModels = new Set();
+  var changed = true;
+  while (changed) {
+    changed = false;
+    for (name in swagger.definitions) {
+      model = models[normalizeModelName(name)];
+      if (!model || datedModels.has(model.modelClass)) {
+        continue;
+      }
+      if (dateMetadata(swagger.definitions[name], datedModels, swagger) ||
+        (model.modelUnionSubclasses || []).some(subclass =>
+          datedModels.has(subclass.modelClass))) {
+        datedModels.add(model.modelClass);
+        changed = true;
+      }
+    }
+  }
+
+  var dateModels = [];
+  var dateSubclasses = [];
+  for (name in swagger.definitions) {
+    model = models[normalizeModelName(name)];
+    if (!model || !datedModels.has(model.modelClass)) {
+      continue;
+    }
+    dateModels.push({
+      modelClass: model.modelClass,
+      modelDates: toTypeScriptValue(dateMetadata(swagger.definitions[name],
+        datedModels, swagger) || {}, 1),
+    });
+    if (model.modelUnionSubclasses) {
+      var subclassModels = {};
+      model.modelUnionSubclasses.forEach(subclass => {
+        subclassModels[subclass.modelDiscriminatorLiteral] =
+          toStringLiteral(subclass.modelClass);
+      });
+      dateSubclasses.push({
+        modelClass: model.modelClass,
+        modelDiscriminator: toStringLiteral(model.modelDiscriminator),
+        modelSubclasses: Object.keys(subclassModels)
+          .map(value => value + ': ' + subclassModels[value])
+          .join(', '),
+      });
+    }
+  }
+
+  for (name in services) {
+    services[name].serviceOperations.forEach(operation => {
+      var metadata = dateMetadata(operation.operationResponses.resultSchema,
+        datedModels, swagger);
+      operation.operationResultDates = metadata == null ? null :
+        toTypeScriptValue(metadata);
+      operation.operationParameters.forEach(parameter => {
+        metadata = parameter.paramIsBody ?
+          dateMetadata(parameter.paramSchema, datedModels, swagger) : null;
+        parameter.paramDates = metadata == null ? null :
+          toTypeScriptValue(metadata);
+      });
+    });
+  }
+
+  return {
+    dateModels: dateModels,
+    dateSubclasses: dateSubclasses,
+  };
+}
+
+/**
+ * Removes an array designation from the given type.
+ * For example, "Array<a>" returns "a", "a[]" returns "a", while "b" returns "b".
+ * A special case is for inline objects. In this case, the result is "object".
+ */
+function removeBrackets(type, nullOrUndefinedOnly) {
+  if(typeof nullOrUndefinedOnly === "undefined") {
+    nullOrUndefinedOnly = false;
+  }
+  if (typeof type === 'object') {
+    if (type.allTypes && type.allTypes.length === 1) {
+      return removeBrackets(type.allTypes[0], nullOrUndefinedOnly);
+    }
+    return 'object';
+  }
+  else if(type.replace(/ /g, '') !== type) {
+    return removeBrackets(type.replace(/ /g, ''));
+  }
+  else if(type.indexOf('null|') === 0) {
+    return removeBrackets(type.substr('null|'.length));
+  }
+  else if(type.indexOf('undefined|') === 0) {
+    // Not used currently, but robust code is better code :)
+    return removeBrackets(type.substr('undefined|'.length));
+  }
+  if (type == null || type.length === 0 || nullOrUndefinedOnly) {
+    return type;
+  }
+  var pos = type.indexOf('Array<');
+  if (pos >= 0) {
+    var start = 'Array<'.length;
+    return type.substr(start, type.length - start - 1);
+  }
+  pos = type.indexOf('[');
+  return pos >= 0 ? type.substr(0, pos) : type;
+}
+
+/**
+ * Combine dependencies of multiple types.
+ * @param types
+ * @return {Array}
+ */
+function mergeTypes(...types) {
+  let allTypes = [];
+  types.forEach(type => {
+    (type.allTypes || [type]).forEach(type => {
+      if (allTypes.indexOf(type) < 0) allTypes.push(type);
+    });
+  });
+  return allTypes;
+}
+
+/**
+ * Returns the TypeScript property type for the given raw property
+ */
+function propertyType(property) {
+  var type;
+  if (property === null || property.type === null) {
+    return 'null';
+  } else if (property.$ref != null) {
+    // Type is a reference
+    return simpleRef(property.$ref);
+  } else if (property['x-type']) {
+    // Type is read from the x-type vendor extension
+    type = (property['x-type'] || '').toString().replace('List<', 'Array<');
+    return type.length == 0 ? 'null' : type;
+  } else if (property['x-nullable']) {
+    return 'null | ' + propertyType(
+      Object.assign(property, {'x-nullable': undefined}));
+  } else if (!property.type && (property.anyOf || property.oneOf)) {
+    let variants = (property.anyOf || property.oneOf).map(propertyType);
+    return {
+      allTypes: mergeTypes(...variants),
+      toString: () => variants.join(' | ')
+    };
+  } else if (!property.type && property.allOf) {
+    // Do not want to include x-nullable types as part of an allOf union.
+    let variants = (property.allOf).filter(prop => !prop['x-nullable']).map(propertyType);
+
+    return {
+      allTypes: mergeTypes(...variants),
+      toString: () => variants.join(' & ')
+    };
+  } else if (Array.isArray(property.type)) {
+    let variants = property.type.map(type => propertyType(Object.assign({}, property, {type})));
+    return {
+      allTypes: mergeTypes(...variants),
+      toString: () => variants.join(' | ')
+    };
+  }
+  switch (property.type) {
+    case 'null':
+      return 'null';
+    case 'string':
+      if (property.enum && property.enum.length > 0) {
+        return '\'' + property.enum.join('\' | \'') + '\'';
+      }
+      else if (property.const) {
+        return '\'' + property.const + '\'';
+      }
+      else if (property.format === 'byte') {
         return 'ArrayBuffer';
       }
       return 'string';
@@ -958,24 +2316,105 @@ function processProperties(swagger, properties, requiredProperties) {
   var result = {};
   for (var name in properties) {
     var property = properties[name];
+    var required = requiredProperties.indexOf(name) >= 0;
+    var deprecated = property.deprecated === true;
     var descriptor = {
       propertyName: name.indexOf('-') === -1 && name.indexOf(".") === -1 ? name : `"${name}"`,
-      propertyComments: toComments(property.description, 1),
-      propertyRequired: requiredProperties.indexOf(name) >= 0,
+      propertyComments: toComments(deprecated ?
+        (property.description || '') + '\n\n@deprecated' :
+        property.description, 1),
+      propertyDeprecated: deprecated,
+      propertyRequired: required,
       propertyType: propertyType(property),
+      propertyValidators: toValidators(property, required).join(', '),
+      propertyRef: simpleRef(property.$ref),
+      propertyIsArray: property.type === 'array' &&
+        !Array.isArray(property.items),
     };
+    if (descriptor.propertyIsArray) {
+      descriptor.propertyItemsRef = simpleRef((property.items || {}).$ref);
+      descriptor.propertyItemType = propertyType(property.items || {});
+    }
     result[name] = descriptor;
   }
   return result;
 }
 
+/**
+ * Patterns used to validate the values of some string formats
+ */
+const FORMAT_PATTERNS = {
+  'date': '^\\d{4}-\\d{2}-\\d{2}$',
+  'date-time': '^\\d{4}-\\d{2}-\\d{2}T\\d{2}:\\d{2}(:\\d{2}(\\.\\d+)?)?' +
+    '(Z|[+-]\\d{2}:?\\d{2})?$',
+  'uuid': '^[0-9a-fA-F]{8}-[0-9a-fA-F]{4}-[0-9a-fA-F]{4}-[0-9a-fA-F]{4}-' +
+    '[0-9a-fA-F]{12}$',
+};
+
+/**
+ * Returns the Angular validators, as TypeScript expressions, which check the
+ * constraints of the given raw property
+ */
+function toValidators(property, required) {
+  var result = [];
+  if (required) {
+    result.push('Validators.required');
+  }
+  var minLength = property.type === 'array' ?
+    property.minItems : property.minLength;
+  var maxLength = property.type === 'array' ?
+    property.maxItems : property.maxLength;
+  if (minLength != null) {
+    result.push('Validators.minLength(' + minLength + ')');
+  }
+  if (maxLength != null) {
+    result.push('Validators.maxLength(' + maxLength + ')');
+  }
+  if (property.minimum != null) {
+    result.push(property.exclusiveMinimum === true ?
+      '(c: AbstractControl) => c.value != null && c.value <= ' +
+        property.minimum + ' ? { exclusiveMin: { min: ' + property.minimum +
+        ', actual: c.value } } : null' :
+      'Validators.min(' + property.minimum + ')');
+  }
+  if (property.maximum != null) {
+    result.push(property.exclusiveMaximum === true ?
+      '(c: AbstractControl) => c.value != null && c.value >= ' +
+        property.maximum + ' ? { exclusiveMax: { max: ' + property.maximum +
+        ', actual: c.value } } : null' :
+      'Validators.max(' + property.maximum + ')');
+  }
+  if (property.type === 'string' && property.format === 'email') {
+    result.push('Validators.email');
+  }
+  var pattern = property.pattern ||
+    (property.type === 'string' && !isDateSchema(property) ?
+      FORMAT_PATTERNS[property.format] : null);
+  if (pattern) {
+    result.push('Validators.pattern(new RegExp(' +
+      toStringLiteral(pattern) + '))');
+  }
+  return result;
+}
+
+/**
+ * Returns a TypeScript string literal for the given value
+ */
+function toStringLiteral(value) {
+  return '\'' + String(value)
+    .replace(/\\/g, '\\\\')
+    .replace(/'/g, '\\\'')
+    .replace(/\r/g, '\\r')
+    .replace(/\n/g, '\\n') + '\'';
+}
+
 /**
  * Resolves a local reference in the given swagger file
  */
 function resolveRef(swagger, ref) {
   if (ref.indexOf('#/') != 0) {
-    console.error('Resolved references must start with #/. Current: ' + ref);
-    process.exit(1);
+    throw new GeneratorError('INVALID_REF',
+      'Resolved references must start with #/. Current: ' + ref);
   }
   var parts = ref.substr(2).split('/');
   var result = swagger;
@@ -986,6 +2425,293 @@ function resolveRef(swagger, ref) {
   return result === swagger ? {} : result;
 }
 
+/**
+ * The HTTP methods which may be declared in a path item
+ */
+const HTTP_METHODS = ['get', 'put', 'post', 'delete', 'options', 'head',
+  'patch'];
+
+/**
+ * Converts an OpenAPI 3.0 document into the equivalent Swagger 2.0 structure,
+ * so models and services are processed the same way for both
+ */
+function fromOpenApi3(openApi, reporter) {
+  var name;
+  var components = openApi.components || {};
+  var swagger = {
+    swagger: '2.0',
+    info: openApi.info,
+    tags: openApi.tags,
+    security: openApi.security,
+    definitions: components.schemas || {},
+    parameters: {},
+    responses: {},
+    securityDefinitions: {},
+    paths: {},
+  };
+
+  // The first server defines the host and base path
+  var server = (openApi.servers || [])[0];
+  if (server && server.url) {
+    var variables = server.variables || {};
+    var serverUrl = server.url.replace(/\{([^}]+)}/g, (_, variable) =>
+      (variables[variable] || {}).default || '');
+    var match = /^(?:([a-z][a-z0-9+.\-]*):)?\/\/([^\/]+)(.*)$/i
+      .exec(serverUrl);
+    if (match) {
+      if (match[1]) {
+        swagger.schemes = [match[1]];
+      }
+      swagger.host = match[2];
+      serverUrl = match[3];
+    }
+    swagger.basePath = serverUrl.replace(/\/$/, '');
+  }
+
+  for (name in components.parameters || {}) {
+    swagger.parameters[name] =
+      fromOpenApi3Parameter(components.parameters[name]);
+  }
+  for (name in components.responses || {}) {
+    swagger.responses[name] =
+      fromOpenApi3Response(components.responses[name]);
+  }
+  for (name in components.securitySchemes || {}) {
+    swagger.securityDefinitions[name] =
+      fromOpenApi3SecurityScheme(components.securitySchemes[name]);
+  }
+
+  for (var url in openApi.paths || {}) {
+    var pathItem = openApi.paths[url] || {};
+    var converted = {};
+    if (pathItem.parameters) {
+      converted.parameters =
+        fromOpenApi3Parameters(openApi, pathItem.parameters, reporter);
+    }
+    HTTP_METHODS.forEach(method => {
+      if (pathItem[method]) {
+        converted[method] =
+          fromOpenApi3Operation(openApi, pathItem[method], reporter);
+      }
+    });
+    swagger.paths[url] = converted;
+  }
+
+  // Finally, adjust the references and schemas to the Swagger 2.0 format
+  normalizeOpenApi3Schemas(swagger);
+  return swagger;
+}
+
+/**
+ * Converts an OpenAPI 3.0 operation into a Swagger 2.0 one. The request body
+ * is converted to either a body parameter or to form data parameters.
+ */
+function fromOpenApi3Operation(openApi, def, reporter) {
+  var operation = Object.assign({}, def);
+  delete operation.requestBody;
+  delete operation.callbacks;
+  delete operation.servers;
+  var parameters =
+    fromOpenApi3Parameters(openApi, def.parameters || [], reporter);
+
+  var requestBody = def.requestBody;
+  if (requestBody && requestBody.$ref) {
+    requestBody = resolveRef(openApi, requestBody.$ref);
+  }
+  var content = (requestBody || {}).content || {};
+  var mediaType = preferredMediaType(content);
+  if (mediaType) {
+    var schema = content[mediaType].schema || {};
+    operation.consumes = [mediaType];
+    if (/^(multipart\/form-data|application\/x-www-form-urlencoded)$/
+      .test(mediaType)) {
+      // Each schema property is a form data parameter
+      if (schema.$ref) {
+        schema = resolveRef(openApi, schema.$ref);
+      }
+      var required = schema.required || [];
+      for (var name in schema.properties || {}) {
+        var property = schema.properties[name];
+        parameters.push(Object.assign(
+          property.$ref ? { schema: property } : Object.assign({}, property), {
+            name: name,
+            in: 'formData',
+            required: required.indexOf(name) >= 0,
+          }));
+      }
+    } else {
+      parameters.push({
+        name: def['x-codegen-request-body-name'] || 'body',
+        in: 'body',
+        description: requestBody.description,
+        required: requestBody.required === true,
+        schema: schema,
+      });
+    }
+  }
+  operation.parameters = parameters;
+
+  var responses = def.responses || {};
+  operation.responses = {};
+  for (var code in responses) {
+    operation.responses[code] = fromOpenApi3Response(responses[code]);
+  }
+  return operation;
+}
+
+/**
+ * Converts a list of OpenAPI 3.0 parameters, skipping the ones which are not
+ * supported: cookie parameters and parameters whose `content` has a schema
+ * which isn't of a primitive type. Referenced parameters are checked too.
+ */
+function fromOpenApi3Parameters(openApi, parameters, reporter) {
+  return parameters
+    .filter(param => {
+      var resolved = param.$ref ? resolveRef(openApi, param.$ref) : param;
+      if (resolved.in === 'cookie') {
+        reporter.warn("Ignoring cookie parameter '" + resolved.name + "'");
+        return false;
+      }
+      if (!resolved.schema && resolved.content) {
+        var schema = contentSchema(resolved.content) || {};
+        if (schema.$ref) {
+          schema = resolveRef(openApi, schema.$ref);
+        }
+        if (['string', 'number', 'integer', 'boolean']
+          .indexOf(schema.type) < 0) {
+          reporter.warn("Ignoring parameter '" + resolved.name +
+            "' because its content is not of a primitive type");
+          return false;
+        }
+      }
+      return true;
+    })
+    .map(fromOpenApi3Parameter);
+}
+
+/**
+ * Returns the schema of the preferred media type in the given content
+ */
+function contentSchema(content) {
+  var mediaType = preferredMediaType(content);
+  return mediaType ? content[mediaType].schema : null;
+}
+
+/**
+ * Converts an OpenAPI 3.0 parameter into a Swagger 2.0 one, where the type
+ * information is in the parameter itself instead of in a schema. Parameters
+ * described by a `content` use the schema of its preferred media type.
+ */
+function fromOpenApi3Parameter(param) {
+  if (param.$ref) {
+    return param;
+  }
+  var schema = param.schema || contentSchema(param.content) || {};
+  var result = Object.assign({},
+    schema.$ref ? { schema: schema } : schema, param);
+  ['schema', 'style', 'explode', 'allowReserved', 'example', 'examples',
+    'content'].forEach(prop => delete result[prop]);
+  if (schema.$ref) {
+    result.schema = schema;
+  }
+  if (result.type === 'array') {
+    var style = param.style ||
+      (param.in === 'query' || param.in === 'cookie' ? 'form' : 'simple');
+    var explode = param.explode == null ? style === 'form' : param.explode;
+    result.collectionFormat =
+      style === 'form' && explode ? 'multi' :
+      style === 'spaceDelimited' ? 'ssv' :
+      style === 'pipeDelimited' ? 'pipes' :
+      'csv';
+  }
+  return result;
+}
+
+/**
+ * Converts an OpenAPI 3.0 response into a Swagger 2.0 one, using the schema
+ * of the preferred media type
+ */
+function fromOpenApi3Response(response) {
+  if (response.$ref) {
+    return response;
+  }
+  var result = {
+    description: response.description || '',
+  };
+  var content = response.content || {};
+  var mediaType = preferredMediaType(content);
+  if (mediaType && content[mediaType].schema) {
+    result.schema = content[mediaType].schema;
+  }
+  if (response.headers) {
+    result.headers = {};
+    for (var name in response.headers) {
+      var header = response.headers[name];
+      result.headers[name] = header.$ref || !header.schema ? header :
+        Object.assign({ description: header.description }, header.schema);
+    }
+  }
+  return result;
+}
+
+/**
+ * Converts an OpenAPI 3.0 security scheme into a Swagger 2.0 one. Both bearer
+ * authentication and OpenID Connect are handled as OAuth2, as the access token
+ * is sent the same way.
+ */
+function fromOpenApi3SecurityScheme(scheme) {
+  var type = scheme.type;
+  if (type === 'http') {
+    var httpScheme = (scheme.scheme || '').toLowerCase();
+    type = httpScheme === 'basic' ? 'basic' :
+      httpScheme === 'bearer' ? 'oauth2' : 'http ' + httpScheme;
+  } else if (type === 'openIdConnect') {
+    type = 'oauth2';
+  }
+  return Object.assign({}, scheme, { type: type });
+}
+
+/**
+ * Returns the preferred media type in the given content: JSON if available,
+ * otherwise the first declared one
+ */
+function preferredMediaType(content) {
+  var mediaTypes = Object.keys(content || {});
+  return mediaTypes.find(mediaType => /json/i.test(mediaType))
+    || mediaTypes[0];
+}
+
+/**
+ * Walks the given converted document, adjusting references to components and
+ * the schemas which are represented differently in Swagger 2.0
+ */
+function normalizeOpenApi3Schemas(object) {
+  if (Array.isArray(object)) {
+    object.forEach(normalizeOpenApi3Schemas);
+    return;
+  }
+  if (!object || typeof object !== 'object') {
+    return;
+  }
+  if (typeof object.$ref === 'string') {
+    object.$ref = object.$ref
+      .replace(/^#\/components\/schemas\//, '#/definitions/')
+      .replace(/^#\/components\/parameters\//, '#/parameters/')
+      .replace(/^#\/components\/responses\//, '#/responses/');
+  }
+  if (object.nullable === true) {
+    object['x-nullable'] = true;
+    delete object.nullable;
+  }
+  if (object.type === 'string' && object.format === 'binary') {
+    object.type = 'file';
+    delete object.format;
+  }
+  for (var key in object) {
+    normalizeOpenApi3Schemas(object[key]);
+  }
+}
+
 /*
  * Process an operation's possible responses. Returns an object keyed
  * by each HTTP code, whose values are objects with code and type properties,
@@ -995,15 +2721,38 @@ function processResponses(swagger, def, path, models) {
   var responses = def.responses || {};
   var operationResponses = {};
   operationResponses.returnHeaders = false;
+  operationResponses.headers = [];
+  operationResponses.errors = [];
   for (var code in responses) {
     var response = responses[code];
     if (response.$ref) {
       response = resolveRef(swagger, response.$ref);
     }
+    if (/2\d\d/.test(code) && !operationResponses.resultCode) {
+      operationResponses.resultCode = code;
+      operationResponses.resultSchema = response.schema || null;
+    }
+    if (/2\d\d/.test(code)) {
+      var headers = response.headers || {};
+      for (var name in headers) {
+        // This operation returns at least one header
+        operationResponses.returnHeaders = true;
+        if (!operationResponses.headers.some(h => h.headerName === name)) {
+          operationResponses.headers.push(processHeader(name, headers[name]));
+        }
+      }
+    }
+    var type = response.schema ? propertyType(response.schema) : null;
+    if (/^\d{3}$/.test(code) && !/2\d\d/.test(code)) {
+      // Error response with an explicit status
+      operationResponses.errors.push({
+        errorStatus: Number(code),
+        errorType: type || 'null',
+      });
+    }
     if (!response.schema) {
       continue;
     }
-    var type = propertyType(response.schema);
     if (/2\d\d/.test(code)) {
       // Successful response
       if (operationResponses.resultType) {
@@ -1014,12 +2763,6 @@ function processResponses(swagger, def, path, models) {
         operationResponses.resultType = type;
         operationResponses.resultDescription = response.description;
       }
-      var headers = response.headers || {};
-      for (var prop in headers) {
-        // This operation returns at least one header
-        operationResponses.returnHeaders = true;
-        break;
-      }
     }
     operationResponses[code] = {
       code: code,
@@ -1029,9 +2772,34 @@ function processResponses(swagger, def, path, models) {
   if (!operationResponses.resultType) {
     operationResponses.resultType = 'null';
   }
+  operationResponses.errors.sort((a, b) => a.errorStatus - b.errorStatus);
+  if (operationResponses.errors.length > 0) {
+    operationResponses.errors[operationResponses.errors.length - 1]
+      .errorIsLast = true;
+  }
   return operationResponses;
 }
 
+/**
+ * Returns the descriptor of a header returned by an operation. Values are
+ * converted according to the type, and arrays are split by the separator of
+ * the collection format.
+ */
+function processHeader(name, header) {
+  var type = header.type === 'array' ? (header.items || {}).type : header.type;
+  return {
+    headerName: toStringLiteral(name),
+    headerVar: toIdentifier(name),
+    headerComments: toComments(header.description, 2),
+    headerType: header.$ref ? 'string' : propertyType(header),
+    headerConversion: type === 'integer' || type === 'number' ? '\'number\'' :
+      type === 'boolean' ? '\'boolean\'' : '\'string\'',
+    headerSeparator: header.type === 'array' ?
+      COLLECTION_SEPARATORS[header.collectionFormat] ||
+        COLLECTION_SEPARATORS.csv : null,
+  };
+}
+
 /**
  * Returns a path expression to be evaluated, for example:
  * "/a/{var1}/b/{var2}/" returns "/a/${params.var1}/b/${params.var2}"
@@ -1041,9 +2809,11 @@ function toPathExpression(operationParameters, paramsClass, path) {
   return (path || '').replace(/\{([^}]+)}/g, (_, pName) => {
     const param = operationParameters.find(p => p.paramName === pName);
     const paramName = param ? param.paramVar : pName;
+    const join = param && param.paramCollectionSeparator ?
+      '.join(' + param.paramCollectionSeparator + ')' : '';
     return paramsClass ?
-      "${encodeURIComponent(params." + paramName + ")}" :
-      "${encodeURIComponent(" + paramName + ")}";
+      "${encodeURIComponent(params." + paramName + join + ")}" :
+      "${encodeURIComponent(" + paramName + join + ")}";
   });
 }
 
@@ -1084,7 +2854,7 @@ function tagName(tag, options) {
  * Returns the actual operation id, assuming the one given.
  * If none is given, generates one
  */
-function operationId(given, method, url, allKnown) {
+function operationId(given, method, url, allKnown, reporter) {
   var id;
   var generate = given == null;
   if (generate) {
@@ -1101,7 +2871,7 @@ function operationId(given, method, url, allKnown) {
     id = id + '_' + i;
   }
   if (generate) {
-    console.warn(
+    reporter.warn(
       "Operation '" +
         method +
         "' on '" +
@@ -1111,7 +2881,7 @@ function operationId(given, method, url, allKnown) {
         "'."
     );
   } else if (duplicated) {
-    console.warn(
+    reporter.warn(
       "Operation '" +
         method +
         "' on '" +
@@ -1129,31 +2899,225 @@ function operationId(given, method, url, allKnown) {
 }
 
 /**
- * Process API paths, returning an object with descriptors keyed by tag name.
- * It is required that operations define a single tag, or they are ignored.
+ * Process the security definitions, returning an array with a descriptor for
+ * each supported security scheme
  */
-function processServices(swagger, models, options) {
+function processSecuritySchemes(swagger, reporter) {
+  var result = [];
+  var definitions = swagger.securityDefinitions || {};
+  for (var name in definitions) {
+    var definition = definitions[name];
+    var property = toIdentifier(name);
+    property = property.charAt(0).toLowerCase() + property.substr(1) +
+      'Provider';
+    var descriptor = {
+      securityName: name,
+      securityProperty: property,
+      securityIsApiKey: definition.type === 'apiKey',
+      securityIsBasic: definition.type === 'basic',
+      securityIsBearer: definition.type === 'oauth2',
+    };
+    var text;
+    if (descriptor.securityIsApiKey) {
+      if (definition.in !== 'header' && definition.in !== 'query') {
+        reporter.warn("Ignoring security scheme '" + name +
+          "' because API keys in " + definition.in + ' are not supported');
+        continue;
+      }
+      descriptor.securityIsHeader = definition.in === 'header';
+      descriptor.securityIsQuery = definition.in === 'query';
+      descriptor.securityParamName = definition.name;
+      descriptor.securityProviderType = '() => string | null';
+      text = 'Provides the API key for the `' + name + '` security scheme, ' +
+        'sent in the `' + definition.name + '` ' +
+        (descriptor.securityIsHeader ? 'header' : 'query parameter') + '.';
+    } else if (descriptor.securityIsBasic) {
+      descriptor.securityProviderType =
+        '() => { username: string, password: string } | null';
+      text = 'Provides the username and password for the `' + name +
+        '` security scheme, sent using the HTTP basic authentication.';
+    } else if (descriptor.securityIsBearer) {
+      descriptor.securityProviderType = '() => string | null';
+      text = 'Provides the access token for the `' + name +
+        '` security scheme, sent as a bearer token.';
+    } else {
+      reporter.warn("Ignoring security scheme '" + name +
+        "' because the type " + definition.type + ' is not supported');
+      continue;
+    }
+    if (definition.description) {
+      text = definition.description.trim() + '\n\n' + text;
+    }
+    descriptor.securityComments = toComments(
+      text + '\nWhen it returns null, these credentials are not sent.', 1);
+    result.push(descriptor);
+  }
+  if (result.length > 0) {
+    result[result.length - 1].securityIsLast = true;
+  }
+  return result;
+}
+
+/**
+ * Returns the security requirements of an operation as a TypeScript array of
+ * alternatives, each one being an array of scheme names, or null if the
+ * operation requires no credentials. Operations not declaring the security use
+ * the global one. Requirements referencing schemes which were not processed,
+ * such as the unsupported ones, are ignored.
+ */
+function operationSecurity(swagger, def, securitySchemes) {
+  var supported = securitySchemes.map(scheme => scheme.securityName);
+  var requirements = securityRequirements(swagger, def)
+    .filter(requirement => requirement.every(scheme =>
+      supported.indexOf(scheme) >= 0));
+  if (requirements.every(requirement => requirement.length === 0)) {
+    return null;
+  }
+  return toSecurityLiteral(requirements);
+}
+
+/**
+ * Returns the security requirements declared by an operation, or the global
+ * ones, as a TypeScript array. Unlike operationSecurity, all schemes are
+ * kept, so the operation metadata tells which credentials it needs, even when
+ * they aren't applied by the generated services.
+ */
+function operationInfoSecurity(swagger, def) {
+  return toSecurityLiteral(securityRequirements(swagger, def));
+}
+
+/**
+ * Returns the security requirements of an operation, each one being an array
+ * of scheme names
+ */
+function securityRequirements(swagger, def) {
+  return (def.security || swagger.security || [])
+    .map(requirement => Object.keys(requirement || {}));
+}
+
+/**
+ * Returns the given security requirements as a TypeScript array of arrays
+ */
+function toSecurityLiteral(requirements) {
+  return '[' + requirements
+    .map(requirement => '[' + requirement.map(toStringLiteral).join(', ') +
+      ']')
+    .join(', ') + ']';
+}
+
+/**
+ * The separators of array parameter values for each collection format. The
+ * multi format has none, as each value is sent separately.
+ */
+const COLLECTION_SEPARATORS = {
+  csv: "','",
+  ssv: "' '",
+  tsv: "'\\t'",
+  pipes: "'|'",
+};
+
+/**
+ * Returns the names of the services in which an operation is generated,
+ * according to the multiTagStrategy option: 'first' uses only the first tag,
+ * 'every' uses each tag and 'combined' uses a single service named after all
+ * the tags, sorted by name. Also returns the tags themselves.
+ */
+function operationServices(def, options) {
+  var tags = (def.tags || []).map(tag => tagName(tag, options))
+    .filter((tag, index, all) => all.indexOf(tag) === index);
+  if (tags.length === 0) {
+    tags = [tagName(null, options)];
+  }
+  switch (options.multiTagStrategy) {
+    case 'every':
+      return tags.map(tag => ({ name: tag, tags: [tag] }));
+    case 'combined':
+      tags.sort();
+      return [{ name: tags.join(''), tags: tags }];
+    default:
+      return [{ name: tags[0], tags: [tags[0]] }];
+  }
+}
+
+/**
+ * Returns the service names keyed by the tags they are generated for. Services
+ * of a single tag are named first, so a combined service whose name would be
+ * the same as another service's gets a number appended instead.
+ */
+function serviceNames(swagger, options, reporter) {
+  var services = [];
+  for (var url in swagger.paths) {
+    var path = swagger.paths[url] || {};
+    for (var method in path) {
+      if (path[method] && method !== 'parameters') {
+        services = services.concat(operationServices(path[method], options));
+      }
+    }
+  }
+  var single = service => service.tags.length === 1 ? 0 : 1;
+  services.sort((a, b) => single(a) - single(b));
+  var names = {};
+  var used = new Set();
+  services.forEach(service => {
+    var key = service.tags.join(', ');
+    if (names[key] != null) {
+      return;
+    }
+    var name = service.name;
+    for (var i = 2; used.has(name); i++) {
+      name = service.name + i;
+    }
+    if (name !== service.name) {
+      reporter.warn("The service for the tags " + key + " would be named '" +
+        service.name + "', as another service. Assuming '" + name + "'.");
+    }
+    names[key] = name;
+    used.add(name);
+  });
+  return names;
+}
+
+/**
+ * Process API paths, returning an object with descriptors keyed by service
+ * name. Operations with multiple tags are handled according to the
+ * multiTagStrategy option.
+ */
+function processServices(swagger, models, securitySchemes, options,
+  reporter) {
   var param, name, i, j;
   var services = {};
   var minParamsForContainer = options.minParamsForContainer || 2;
   var sortParams = options.sortParams || 'desc';
+  var names = serviceNames(swagger, options, reporter);
   for (var url in swagger.paths) {
     var path = swagger.paths[url];
 	  var methodParameters = path.parameters;
-    for (var method in path || {}) {
-      var def = path[method];
+    // An operation is processed once for each service it belongs to
+    var pathOperations = [];
+    var method, def;
+    for (method in path || {}) {
+      def = path[method];
       if (!def || method == 'parameters') {
         continue;
       }
-      var tags = def.tags || [];
-      var tag = tagName(tags.length == 0 ? null : tags[0], options);
+      operationServices(def, options).forEach(service =>
+        pathOperations.push({ method: method, def: def, service: service }));
+    }
+    for (var o = 0; o < pathOperations.length; o++) {
+      method = pathOperations[o].method;
+      def = pathOperations[o].def;
+      var tag = names[pathOperations[o].service.tags.join(', ')];
       var descriptor = services[tag];
       if (descriptor == null) {
         var serviceClass = toClassName(tag);
         descriptor = {
           serviceName: tag,
+          serviceTags: pathOperations[o].service.tags,
           serviceClass: serviceClass + 'Service',
           serviceFile: toFileName(serviceClass) + options.customFileSuffix.service,
+          serviceMockClass: serviceClass + 'ServiceMock',
+          serviceMockFile: toFileName(serviceClass) +
+            options.customFileSuffix.service + options.customFileSuffix.mock,
           operationIds: new Set(),
           serviceOperations: [],
         };
@@ -1164,7 +3128,8 @@ function processServices(swagger, models, options) {
         def.operationId,
         method,
         url,
-        descriptor.operationIds
+        descriptor.operationIds,
+        reporter
       );
 
       var parameters = def.parameters || [];
@@ -1194,6 +3159,13 @@ function processServices(swagger, models, options) {
         }
         var paramTypeNoNull = removeBrackets(paramType, true);
         var paramVar = toIdentifier(param.name);
+        var collectionFormat = param.collectionFormat || 'csv';
+        if (collectionFormat === 'multi' && param.in === 'path' ||
+          param.in === 'formData' && (param.items || {}).type === 'file') {
+          // Paths can't repeat values, and files are always sent separately
+          collectionFormat = param.in === 'path' ? 'csv' : 'multi';
+        }
+        var paramDeprecated = param.deprecated === true;
         var paramDescriptor = {
           paramName: param.name,
           paramIn: param.in,
@@ -1208,10 +3180,18 @@ function processServices(swagger, models, options) {
           paramIsArray: param.type === 'array',
           paramToJson: param.in === 'formData' && !param.enum && paramTypeNoNull !== 'Blob' &&
             paramTypeNoNull !== 'string',
-          paramDescription: param.description,
-          paramComments: toComments(param.description, 2),
+          paramDeprecated: paramDeprecated,
+          paramDescription: paramDeprecated ?
+            ('Deprecated. ' + (param.description || '')).trim() :
+            param.description,
+          paramComments: toComments(paramDeprecated ?
+            (param.description || '') + '\n\n@deprecated' :
+            param.description, 2),
           paramType: paramType,
           paramCollectionFormat: param.collectionFormat,
+          paramCollectionSeparator: param.type === 'array' ?
+            COLLECTION_SEPARATORS[collectionFormat] || null : null,
+          paramSchema: param.schema || null,
         };
         operationParameters.push(paramDescriptor);
       }
@@ -1241,6 +3221,7 @@ function processServices(swagger, models, options) {
           break;
         }
       }
+      var operationDeprecated = def.deprecated === true;
       var docString = (def.description || '').trim();
       var summary = (def.summary || path.summary || '').trim();
       if (summary !== '') {
@@ -1250,6 +3231,7 @@ function processServices(swagger, models, options) {
           docString = summary + '\n\n' + docString;
         }
       }
+      var operationDescription = docString;
       if (paramsClass == null) {
         for (i = 0; i < operationParameters.length; i++) {
           param = operationParameters[i];
@@ -1280,6 +3262,9 @@ function processServices(swagger, models, options) {
       if (operationResponses.resultDescription) {
         docString += '\n@return ' + operationResponses.resultDescription;
       }
+      if (operationDeprecated) {
+        docString += '\n@deprecated';
+      }
       function getOperationName(string) {
         if (options.camelCase) return string.charAt(0).toLowerCase() + string.slice(1);
         else return string;
@@ -1295,13 +3280,39 @@ function processServices(swagger, models, options) {
         operationResultType: resultType,
         operationHttpResponseType: '__StrictHttpResponse<' + resultType + '>',
         operationComments: toComments(docString, 1),
+        operationDeprecated: operationDeprecated,
         operationParameters: operationParameters,
         operationResponses: operationResponses,
+        operationSecurity: operationSecurity(swagger, def, securitySchemes),
+        operationInfoId: toStringLiteral(id),
+        operationInfoTags: (def.tags || []).map(toStringLiteral).join(', '),
+        operationInfoSecurity: operationInfoSecurity(swagger, def),
       };
+      if (operationResponses.errors.length > 0) {
+        operation.operationErrorClass =
+          operationTypeName(id, 'Error', models);
+        operation.operationErrorClassComments = toComments(
+          'The errors declared by ' + id + ', keyed by the HTTP status', 1);
+        operation.operationErrors = operationResponses.errors;
+        operation.operationErrorStatuses = operationResponses.errors
+          .map(error => error.errorStatus)
+          .join(', ');
+        descriptor.serviceHasErrors = true;
+      }
+      if (operationResponses.headers.length > 0) {
+        operation.operationHeadersClass =
+          operationTypeName(id, 'Headers', models);
+        operation.operationHeadersClassComments = toComments(
+          'The headers returned by ' + id, 1);
+        operation.operationHeaders = operationResponses.headers;
+        descriptor.serviceHasHeaders = true;
+      }
       var modelResult = models[normalizeModelName(removeBrackets(resultType))];
       var actualType = resultType;
       if (modelResult && modelResult.modelIsSimple) {
         actualType = modelResult.modelSimpleType;
+      } else if (modelResult && modelResult.modelIsNumericEnum) {
+        actualType = 'number';
       }
       operation.operationIsMultipart = isMultipart;
       operation.operationIsVoid = actualType === 'void';
@@ -1317,6 +3328,18 @@ function processServices(swagger, models, options) {
           resultType.toString().includes('[]'));
       operation.operationIsFile = actualType === 'Blob';
       operation.operationIsByteArray = actualType === 'ArrayBuffer';
+      if (isMultipart || operation.operationIsFile ||
+        operation.operationIsByteArray) {
+        // File transfers have a variant which also emits the progress
+        operation.operationProgress = {
+          operationReportProgress: true,
+          operationProgressComments: toComments((operationDescription === '' ?
+            '' : operationDescription + '\n\n') +
+            'Emits the upload and download progress, then the response body.' +
+            docString.substr(operationDescription.length), 1),
+        };
+        descriptor.serviceHasProgress = true;
+      }
       operation.operationResponseType =
         operation.operationIsFile ? 'blob' :
         operation.operationIsByteArray ? 'arraybuffer' :
@@ -1341,14 +3364,19 @@ function processServices(swagger, models, options) {
   }
 
   // Read the comments of each tag to use for service comments
-  if (swagger.tags && swagger.tags.length > 0) {
-    for (i = 0; i < swagger.tags.length; i++) {
-      const tag = swagger.tags[i];
-      const name = tagName(tag.name);
-      const service = services[name];
-      if (service && tag.description) {
-        service.serviceComments = toComments(tag.description);
-      }
+  // Combined services have the descriptions of all their tags
+  var tagDescriptions = {};
+  (swagger.tags || []).forEach(tag => {
+    if (tag.description) {
+      tagDescriptions[tagName(tag.name, options)] = tag.description.trim();
+    }
+  });
+  for (name in services) {
+    var descriptions = services[name].serviceTags
+      .map(tag => tagDescriptions[tag])
+      .filter(description => description != null);
+    if (descriptions.length > 0) {
+      services[name].serviceComments = toComments(descriptions.join('\n\n'));
     }
   }
 
@@ -1383,11 +3411,26 @@ function processServices(swagger, models, options) {
     }
     service.serviceDependencies = dependencies.get();
     service.serviceErrorDependencies = errorDependencies.get();
+    service.serviceErrorImports = service.serviceErrorDependencies
+      .filter(dep => service.serviceDependencies.indexOf(dep) < 0);
   }
 
   return services;
 }
 
+/**
+ * Returns the name of a type declared for the given operation in the service
+ * module. A number is appended when the name would shadow a model.
+ */
+function operationTypeName(id, suffix, models) {
+  var base = id.charAt(0).toUpperCase() + id.substr(1) + suffix;
+  var name = base;
+  for (var i = 2; models[normalizeModelName(name)]; i++) {
+    name = base + i;
+  }
+  return name;
+}
+
 /**
  * Processes all $ref objects recursively
  *
@@ -1414,3 +3457,5 @@ function resolveRefRecursive(array, swagger) {
 }
 
 module.exports = ngSwaggerGen;
+module.exports.generate = generate;
+module.exports.GeneratorError = GeneratorError;
@@ -0,0 +1,89 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import childProcess from 'node:child_process';
+import fs from 'node:fs';
+import path from 'node:path';
+import { fixture, outputDir, testDir } from './helpers.mjs';
+
+const cli = path.join(testDir, '..', 'ng-swagger-gen');
+
+/**
+ * Runs the command line with the given arguments, returning the exit status
+ * and the outputs
+ */
+function run(...args) {
+  return childProcess.spawnSync(process.execPath, [cli, ...args],
+    { cwd: outputDir, encoding: 'utf8' });
+}
+
+/**
+ * Writes a configuration file in a directory of its own, returning its path
+ */
+function writeConfig(name, config) {
+  const dir = path.join(outputDir, 'cli', name);
+  fs.rmSync(dir, { recursive: true, force: true });
+  fs.mkdirSync(dir, { recursive: true });
+  const file = path.join(dir, 'ng-swagger-gen.json');
+  fs.writeFileSync(file, JSON.stringify(config));
+  return file;
+}
+
+describe('Command line', () => {
+  it('lists the files without writing them with --dry-run', () => {
+    const output = path.join(outputDir, 'cli', 'dry-run');
+    fs.rmSync(output, { recursive: true, force: true });
+    const dryRun = run('-i', fixture('petstore.json'), '-o', output,
+      '--dry-run');
+    assert.equal(dryRun.status, 0);
+    assert.ok(dryRun.stdout.includes('Would create ' +
+      path.join(output, 'services', 'pets.service.ts')));
+    assert.equal(fs.existsSync(output), false);
+  });
+
+  it('fails with --check when the output is not up to date', () => {
+    const output = path.join(outputDir, 'cli', 'check');
+    fs.rmSync(output, { recursive: true, force: true });
+    const args = ['-i', fixture('petstore.json'), '-o', output];
+    assert.equal(run(...args, '--check').status, 1);
+    assert.equal(fs.existsSync(output), false);
+
+    assert.equal(run(...args).status, 0);
+    assert.equal(run(...args, '--check').status, 0);
+
+    // Both changed and stale files are detected, and left untouched
+    const model = path.join(output, 'models', 'pet.ts');
+    fs.appendFileSync(model, '// changed\n');
+    let check = run(...args, '--check');
+    assert.equal(check.status, 1);
+    assert.ok(check.stderr.includes('The output folder ' + output +
+      ' is not up to date'));
+    assert.match(fs.readFileSync(model, 'utf8'), /\/\/ changed/);
+
+    assert.equal(run(...args).status, 0);
+    const stale = path.join(output, 'models', 'stale.ts');
+    fs.writeFileSync(stale, '');
+    check = run(...args, '--check');
+    assert.equal(check.status, 1);
+    assert.ok(check.stdout.includes('Would remove stale file ' + stale));
+    assert.equal(fs.existsSync(stale), true);
+  });
+
+  it('names the outdated target outputs with --check', () => {
+    const dir = path.join(outputDir, 'cli', 'check-targets');
+    const config = writeConfig('check-targets', {
+      targets: [
+        { swagger: fixture('petstore.json'), output: path.join(dir, 'pets') },
+        { swagger: fixture('security.json'), output: path.join(dir, 'items') },
+      ],
+    });
+    assert.equal(run('-c', config).status, 0);
+    assert.equal(run('-c', config, '--check').status, 0);
+
+    fs.rmSync(path.join(dir, 'items', 'operations.ts'));
+    const check = run('-c', config, '--check');
+    assert.equal(check.status, 1);
+    assert.ok(check.stderr.includes('The output folder ' +
+      path.join(dir, 'items') + ' is not up to date'));
+    assert.doesNotMatch(check.stderr, /undefined|pets/);
+  });
+});
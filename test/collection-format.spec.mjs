@@ -0,0 +1,50 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { firstValueFrom } from 'rxjs';
+import { createService, fakeHttp } from './helpers.mjs';
+
+const searchService = http =>
+  createService('arrays', 'search.service', 'SearchService', http);
+
+describe('Collection formats', () => {
+  it('joins array parameters according to their format', async () => {
+    const { http, requests } = fakeHttp();
+    const service = await searchService(http);
+    await firstValueFrom(service.search({
+      codes: ['a', 'b'],
+      csv: [1, 2],
+      ssv: ['a', 'b'],
+      tsv: ['a', 'b'],
+      pipes: ['a', 'b'],
+      multi: ['a', 'b'],
+      XTags: ['a', 'b'],
+    }));
+    const request = requests[0];
+    assert.equal(request.url, 'http://localhost:8080/api/search/a%2Cb');
+    assert.deepEqual(request.params.getAll('csv'), ['1,2']);
+    assert.deepEqual(request.params.getAll('ssv'), ['a b']);
+    assert.deepEqual(request.params.getAll('tsv'), ['a\tb']);
+    assert.deepEqual(request.params.getAll('pipes'), ['a|b']);
+    assert.deepEqual(request.params.getAll('multi'), ['a', 'b']);
+    assert.deepEqual(request.headers.getAll('X-Tags'), ['a|b']);
+  });
+
+  it('skips empty arrays', async () => {
+    const { http, requests } = fakeHttp();
+    const service = await searchService(http);
+    await firstValueFrom(service.search({ codes: ['a'], csv: [], multi: [] }));
+    assert.deepEqual(requests[0].params.keys(), []);
+  });
+
+  it('joins form data arrays, except files', async () => {
+    const { http, requests } = fakeHttp();
+    const service = await searchService(http);
+    const files = [new Blob(['1']), new Blob(['2'])];
+    await firstValueFrom(service.upload({ names: ['a', 'b'],
+      labels: ['a', 'b'], files: files }));
+    const body = requests[0].body;
+    assert.deepEqual(body.getAll('names'), ['a,b']);
+    assert.deepEqual(body.getAll('labels'), ['a', 'b']);
+    assert.equal(body.getAll('files').length, 2);
+  });
+});
@@ -0,0 +1,63 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { HttpResponse } from '@angular/common/http';
+import { firstValueFrom } from 'rxjs';
+import { createService, fakeHttp, load, source } from './helpers.mjs';
+
+const petsService = http =>
+  createService('features', 'pets.service', 'PetsService', http);
+
+describe('Dates', () => {
+  it('types date properties as Date', () => {
+    assert.match(source('features', 'models/pet'), /birthDate\?: Date;/);
+    assert.match(source('defaults', 'models/pet'), /birthDate\?: string;/);
+  });
+
+  it('revives the dates in responses', async () => {
+    const { http } = fakeHttp(() => new HttpResponse({
+      status: 200,
+      body: [
+        { name: 'Rex', petType: 'Dog', birthDate: '2020-01-02' },
+        { name: 'Tom', petType: 'Cat', birthDate: 'unknown' },
+      ],
+    }));
+    const service = await petsService(http);
+    const pets = await firstValueFrom(service.listPets({}));
+    assert.ok(pets[0].birthDate instanceof Date);
+    assert.deepEqual(pets[0].birthDate, new Date(2020, 0, 2));
+    assert.equal(pets[1].birthDate, 'unknown');
+  });
+
+  it('revives date-time values', async () => {
+    const { http } = fakeHttp(() => new HttpResponse({
+      status: 200,
+      body: { url: 'a.png', uploadedAt: '2020-01-02T03:04:05Z' },
+    }));
+    const service = await petsService(http);
+    const photo = await firstValueFrom(service.uploadPhoto({ petId: 1,
+      file: new Blob(['a']) }));
+    assert.deepEqual(photo.uploadedAt, new Date(Date.UTC(2020, 0, 2, 3, 4, 5)));
+  });
+
+  it('serializes the dates in request bodies', async () => {
+    const { http, requests } = fakeHttp(() =>
+      new HttpResponse({ status: 201, body: null }));
+    const service = await petsService(http);
+    const pet = { name: 'Rex', petType: 'Pet', birthDate: new Date(2020, 0, 2) };
+    await firstValueFrom(service.createPet(pet));
+    assert.deepEqual(requests[0].body,
+      { name: 'Rex', petType: 'Pet', birthDate: '2020-01-02' });
+    assert.ok(pet.birthDate instanceof Date);
+  });
+
+  it('converts nested and subclass values by the metadata', async () => {
+    const { reviveDates, serializeDates } = await load('features', 'dates');
+    const date = new Date(Date.UTC(2020, 0, 2, 3, 4, 5));
+    assert.deepEqual(serializeDates({ photos: [date] },
+      { photos: ['date-time'] }), { photos: ['2020-01-02T03:04:05.000Z'] });
+    assert.deepEqual(reviveDates({ born: '2020-01-02' }, { '*': 'date' }),
+      { born: new Date(2020, 0, 2) });
+    assert.deepEqual(reviveDates([{ petType: 'Cat', birthDate: '2020-01-02' }],
+      ['Pet']), [{ petType: 'Cat', birthDate: new Date(2020, 0, 2) }]);
+  });
+});
@@ -0,0 +1,41 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { firstValueFrom } from 'rxjs';
+import { createService, fakeHttp, load, source } from './helpers.mjs';
+
+describe('Deprecated', () => {
+  it('documents deprecated operations, parameters and properties', async () => {
+    const { PetsService } = await load('defaults', 'services/pets.service');
+    assert.equal(typeof PetsService.prototype.deletePet, 'function');
+    const service = source('defaults', 'services/pets.service');
+    assert.match(service, /@deprecated\n\s+\*\/\n\s+deletePet\(/);
+    assert.match(service, /`legacyFilter`: Deprecated. Use status instead/);
+    assert.match(source('defaults', 'models/pet'),
+      /@deprecated\n\s+\*\/\n\s+nickname\?: string;/);
+  });
+
+  it('removes deprecated operations with excludeDeprecated', async () => {
+    const { PetsService } = await load('no-deprecated', 'services/pets.service');
+    assert.equal(PetsService.prototype.deletePet, undefined);
+    assert.equal(PetsService.prototype.deletePetResponse, undefined);
+    assert.equal(typeof PetsService.prototype.getPet, 'function');
+    assert.doesNotMatch(source('no-deprecated', 'services/pets.service'),
+      /deletePet|@deprecated/);
+  });
+
+  it('removes deprecated parameters and properties with excludeDeprecated',
+    () => {
+      assert.doesNotMatch(source('no-deprecated', 'services/pets.service'),
+        /legacyFilter/);
+      assert.doesNotMatch(source('no-deprecated', 'models/pet'), /nickname/);
+    });
+
+  it('keeps deprecated path parameters with excludeDeprecated', async () => {
+    const { http, requests } = fakeHttp();
+    const service = await createService('no-deprecated', 'pets.service',
+      'PetsService', http);
+    await firstValueFrom(service.adopt(7));
+    assert.equal(requests[0].url,
+      'http://localhost:8080/api/pets/7/adoption');
+  });
+});
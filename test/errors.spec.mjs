@@ -0,0 +1,52 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { HttpErrorResponse } from '@angular/common/http';
+import { firstValueFrom } from 'rxjs';
+import { createService, fakeHttp, load, source } from './helpers.mjs';
+
+/**
+ * Calls the given operation of the pets service, which fails with the given
+ * status and error body, returning the error response
+ */
+async function fail(operation, args, status, error) {
+  const { http } = fakeHttp(() => new HttpErrorResponse({ status, error }));
+  const service = await createService('defaults', 'pets.service',
+    'PetsService', http);
+  return firstValueFrom(service[operation](...args)).then(
+    () => assert.fail('The request should fail'),
+    response => response);
+}
+
+describe('Typed errors', () => {
+  it('converts declared error statuses', async () => {
+    const { PetsService } = await load('defaults', 'services/pets.service');
+    const response = await fail('createPet', [{ name: 'Rex' }], 409,
+      { message: 'Duplicated', existingId: 1 });
+    const error = PetsService.toCreatePetError(response);
+    assert.equal(error.status, 409);
+    assert.deepEqual(error.error, { message: 'Duplicated', existingId: 1 });
+    assert.equal(error.response, response);
+  });
+
+  it('returns null for undeclared statuses', async () => {
+    const { PetsService } = await load('defaults', 'services/pets.service');
+    const response = await fail('createPet', [{ name: 'Rex' }], 500, null);
+    assert.equal(PetsService.toCreatePetError(response), null);
+  });
+
+  it('parses error bodies read as text', async () => {
+    const { PetsService } = await load('defaults', 'services/pets.service');
+    let response = await fail('getPet', [1], 404, '{"message":"Not found"}');
+    assert.deepEqual(PetsService.toGetPetError(response).error,
+      { message: 'Not found' });
+
+    response = await fail('adopt', [1], 422, 'Too young');
+    assert.equal(PetsService.toAdoptError2(response).error, 'Too young');
+  });
+
+  it('does not shadow models with the same name', async () => {
+    const service = source('defaults', 'services/pets.service');
+    assert.match(service, /import \{ AdoptError \} from '..\/models\/adopt-error';/);
+    assert.match(service, /export type AdoptError2 =\n    \{ status: 409, error: AdoptError, response: HttpErrorResponse \} \|\n    \{ status: 422, error: string, response: HttpErrorResponse \};/);
+  });
+});
@@ -0,0 +1,55 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { load } from './helpers.mjs';
+
+describe('Reactive forms', () => {
+  it('is initialized with the given value', async () => {
+    const { createPetForm } = await load('features', 'models/pet.form');
+    const form = createPetForm({ name: 'Rex', petType: 'Pet', tags: ['a'],
+      owner: { name: 'John' } });
+    assert.equal(form.controls.name.value, 'Rex');
+    assert.deepEqual(form.controls.tags.value, ['a']);
+    assert.deepEqual(form.controls.owner.value,
+      { name: 'John', email: null });
+    assert.equal(form.valid, true);
+  });
+
+  it('applies the validators', async () => {
+    const { createPetForm } = await load('features', 'models/pet.form');
+    const form = createPetForm({ name: 'Rex', petType: 'Pet', weight: 0 });
+    assert.equal(form.valid, false);
+    assert.deepEqual(form.controls.weight.errors,
+      { exclusiveMin: { min: 0, actual: 0 } });
+    form.controls.weight.setValue(10);
+    form.controls.name.setValue('');
+    assert.deepEqual(Object.keys(form.controls.name.errors), ['required']);
+  });
+
+  it('initializes subclasses with the discriminator value', async () => {
+    const { createDogForm } = await load('features', 'models/dog.form');
+    const form = createDogForm({ name: 'Rex' });
+    assert.equal(form.controls.petType.value, 'Dog');
+    assert.equal(form.valid, true);
+  });
+
+  it('disables an absent optional nested group', async () => {
+    const { createDogForm } = await load('features', 'models/dog.form');
+    const form = createDogForm({ name: 'Rex' });
+    assert.equal(form.controls.owner.disabled, true);
+    assert.equal(form.valid, true);
+    assert.equal('owner' in form.value, false);
+
+    // Once enabled, the nested group is validated
+    form.controls.owner.enable();
+    assert.equal(form.valid, false);
+    form.controls.owner.controls.name.setValue('John');
+    assert.equal(form.valid, true);
+  });
+
+  it('enables a present optional nested group', async () => {
+    const { createDogForm } = await load('features', 'models/dog.form');
+    const form = createDogForm({ name: 'Rex', owner: {} });
+    assert.equal(form.controls.owner.enabled, true);
+    assert.equal(form.valid, false);
+  });
+});
@@ -0,0 +1,57 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { HttpHeaders, HttpResponse } from '@angular/common/http';
+import { firstValueFrom } from 'rxjs';
+import { createService, fakeHttp, load } from './helpers.mjs';
+
+/**
+ * Calls the given operation of the pets service, which answers with the given
+ * response headers, returning the full response
+ */
+async function respond(operation, args, headers) {
+  const { http } = fakeHttp(() => new HttpResponse({
+    status: 200,
+    headers: new HttpHeaders(headers),
+  }));
+  const service = await createService('defaults', 'pets.service',
+    'PetsService', http);
+  return firstValueFrom(service[operation + 'Response'](...args));
+}
+
+describe('Response headers', () => {
+  it('converts declared headers to their types', async () => {
+    const { PetsService } = await load('defaults', 'services/pets.service');
+    const response = await respond('listPets', [{}], {
+      'X-Total-Count': '42',
+      'X-Page-Ids': '1, 2,3',
+    });
+    assert.deepEqual(PetsService.getListPetsHeaders(response), {
+      XTotalCount: 42,
+      XPageIds: [1, 2, 3],
+    });
+  });
+
+  it('splits arrays by their collection format', async () => {
+    const { PetsService } = await load('defaults', 'services/pets.service');
+    const response = await respond('adopt', [1], {
+      'Location': '/pets/1',
+      'X-Neutered': 'true',
+      'X-Vaccines': 'rabies|parvo',
+    });
+    assert.deepEqual(PetsService.getAdoptHeaders(response), {
+      Location: '/pets/1',
+      XNeutered: true,
+      XVaccines: ['rabies', 'parvo'],
+    });
+  });
+
+  it('leaves missing headers undefined', async () => {
+    const { PetsService } = await load('defaults', 'services/pets.service');
+    const response = await respond('adopt', [1], { 'X-Neutered': 'false' });
+    assert.deepEqual(PetsService.getAdoptHeaders(response), {
+      Location: undefined,
+      XNeutered: false,
+      XVaccines: undefined,
+    });
+  });
+});
@@ -0,0 +1,67 @@
+/**
+ * Helpers shared by the specs
+ */
+import fs from 'node:fs';
+import path from 'node:path';
+import { fileURLToPath, pathToFileURL } from 'node:url';
+import { HttpClient, HttpErrorResponse, HttpResponse } from '@angular/common/http';
+import { of, throwError } from 'rxjs';
+
+export const testDir = path.dirname(fileURLToPath(import.meta.url));
+export const outputDir = path.join(testDir, 'output');
+
+/**
+ * Returns the path of a file in the fixtures directory
+ */
+export function fixture(name) {
+  return path.join(testDir, 'fixtures', name);
+}
+
+/**
+ * Returns the generated source of a file of a target, such as
+ * `services/pets.service`
+ */
+export function source(target, file) {
+  return fs.readFileSync(path.join(outputDir, 'ts', target, file + '.ts'),
+    'utf8');
+}
+
+/**
+ * Imports the compiled version of a file of a target, such as
+ * `services/pets.service`
+ */
+export function load(target, file) {
+  return import(pathToFileURL(
+    path.join(outputDir, 'js', target, file + '.js')).href);
+}
+
+/**
+ * Returns an `HttpClient` which doesn't send requests, but records them in
+ * `requests` and answers them with the given function, or with an empty
+ * successful response. Answering with an `HttpErrorResponse` fails the request.
+ */
+export function fakeHttp(respond) {
+  const requests = [];
+  const http = new HttpClient({
+    handle: request => {
+      requests.push(request);
+      const response = respond ? respond(request) :
+        new HttpResponse({ status: 200 });
+      return response instanceof HttpErrorResponse ?
+        throwError(() => response) : of(response);
+    },
+  });
+  return { http, requests };
+}
+
+/**
+ * Creates the given service class of a target, using the given `HttpClient`
+ * and the default configuration, with the given settings applied
+ */
+export async function createService(target, file, serviceClass, http,
+  settings) {
+  const configuration = await load(target, 'api-configuration');
+  const service = await load(target, 'services/' + file);
+  const config = Object.assign(new configuration.ApiConfiguration(), settings);
+  return new service[serviceClass](config, http);
+}
@@ -0,0 +1,14 @@
+/**
+ * Resolves relative imports without a file extension, as in the generated
+ * code, to the compiled `.js` file.
+ */
+export async function resolve(specifier, context, nextResolve) {
+  try {
+    return await nextResolve(specifier, context);
+  } catch (error) {
+    if (error.code === 'ERR_MODULE_NOT_FOUND' && /^\.\.?\//.test(specifier)) {
+      return nextResolve(specifier + '.js', context);
+    }
+    throw error;
+  }
+}
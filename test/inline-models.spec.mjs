@@ -0,0 +1,66 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'node:fs';
+import path from 'node:path';
+import { HttpResponse } from '@angular/common/http';
+import { firstValueFrom } from 'rxjs';
+import { createService, fakeHttp, outputDir, source } from './helpers.mjs';
+
+/**
+ * Returns the names of the generated models of a target
+ */
+const models = target =>
+  fs.readdirSync(path.join(outputDir, 'ts', target, 'models')).sort();
+
+describe('Inline models', () => {
+  it('keeps inline object schemas as inline types by default', () => {
+    assert.deepEqual(models('inline'),
+      ['order-customer.ts', 'order-line.ts', 'order.ts', 'rush-order.ts']);
+    const order = source('inline', 'models/order');
+    assert.match(order,
+      /customer\?: \{name: string, address\?: null \| \{street\?: string\}\};/);
+  });
+
+  it('generates models for inline object schemas with hoistInlineModels',
+    () => {
+      assert.deepEqual(models('hoisted'), [
+        'create-order-201response.ts', 'create-order-body.ts',
+        'order-attributes-value.ts', 'order-customer-2.ts',
+        'order-customer-address.ts', 'order-customer.ts',
+        'order-discounts-item.ts', 'order-line.ts', 'order.ts',
+        'problem-response.ts', 'rush-order.ts',
+      ]);
+    });
+
+  it('references the hoisted models, appending a number on clashes', () => {
+    const order = source('hoisted', 'models/order');
+    assert.match(order,
+      /attributes\?: \{\[key: string\]: OrderAttributesValue\};/);
+    assert.match(order,
+      /Who placed the order\n\s+\*\/\n\s+customer\?: OrderCustomer2;/);
+    assert.match(order, /customerType\?: OrderCustomer;/);
+    assert.match(order, /discounts\?: Array<OrderDiscountsItem>;/);
+    assert.match(source('hoisted', 'models/order-customer-2'),
+      /export interface OrderCustomer2 \{\n\s+address\?: null \| OrderCustomerAddress;\n\s+name: string;\n\}/);
+  });
+
+  it('keeps the own properties of compositions in place', () => {
+    assert.match(source('hoisted', 'models/rush-order'),
+      /export interface RushOrder extends Order\{\n\s+deadline\?: string;\n\}/);
+  });
+
+  it('uses the hoisted models for bodies, responses and errors', async () => {
+    const service = source('hoisted', 'services/orders.service');
+    assert.match(service, /createOrder\(body: CreateOrderBody, __options\?: __RequestOptions\): __Observable<CreateOrder201Response>/);
+    assert.match(service, /\{ status: 400, error: ProblemResponse, response: HttpErrorResponse \}/);
+
+    const { http, requests } = fakeHttp(() =>
+      new HttpResponse({ status: 201, body: { id: 1 } }));
+    const orders = await createService('hoisted', 'orders.service',
+      'OrdersService', http);
+    const body = { lines: [{ sku: 'A1', quantity: 2 }] };
+    assert.deepEqual(await firstValueFrom(orders.createOrder(body)), { id: 1 });
+    assert.equal(requests[0].url, 'http://localhost:8080/orders-api/orders');
+    assert.deepEqual(requests[0].body, body);
+  });
+});
@@ -0,0 +1,53 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'node:fs';
+import path from 'node:path';
+import { createRequire } from 'node:module';
+import { fixture, outputDir } from './helpers.mjs';
+
+const { generate, GeneratorError } = createRequire(import.meta.url)('..');
+
+describe('Node API', () => {
+  it('resolves to the result of a dry run, without writing files', async () => {
+    const output = path.join(outputDir, 'node-api');
+    const result = await generate({ swagger: fixture('petstore.json'),
+      output: output, dryRun: true, silent: true });
+    assert.ok(result.created.includes(
+      path.join(output, 'services', 'pets.service.ts')));
+    assert.deepEqual(result.written, result.created);
+    assert.deepEqual(result.removed, []);
+    assert.ok(result.models.some(model => model.modelClass === 'Pet'));
+    assert.ok(result.services.some(service =>
+      service.serviceClass === 'PetsService'));
+    assert.deepEqual(result.sources, [fixture('petstore.json')]);
+    assert.equal(fs.existsSync(output), false);
+  });
+
+  it('rejects with INVALID_OPTIONS without a swagger file', async () => {
+    await assert.rejects(generate({ output: outputDir, silent: true }),
+      error => error instanceof GeneratorError &&
+        error.code === 'INVALID_OPTIONS');
+  });
+
+  it('rejects with READ_ERROR when the swagger file is missing', async () => {
+    await assert.rejects(generate({ swagger: fixture('missing.json'),
+      output: outputDir, silent: true }),
+      error => error.code === 'READ_ERROR');
+  });
+
+  it('rejects with TARGETS_ERROR when a target fails', async () => {
+    await assert.rejects(generate({
+      silent: true,
+      dryRun: true,
+      targets: [
+        { swagger: fixture('petstore.json'), output: outputDir },
+        { swagger: fixture('missing.json'), output: outputDir },
+      ],
+    }), error => {
+      assert.equal(error.code, 'TARGETS_ERROR');
+      assert.ok(error.result.targets[0].result);
+      assert.equal(error.result.targets[1].error.code, 'READ_ERROR');
+      return true;
+    });
+  });
+});
@@ -0,0 +1,84 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { createRequire } from 'node:module';
+import { HttpResponse } from '@angular/common/http';
+import { firstValueFrom } from 'rxjs';
+import { createService, fakeHttp, fixture, load, source } from './helpers.mjs';
+
+const { generate } = createRequire(import.meta.url)('..');
+
+const itemsService = http =>
+  createService('openapi3', 'items.service', 'ItemsService', http);
+
+describe('OpenAPI 3', () => {
+  it('uses the first server as root URL', async () => {
+    const { ApiConfiguration } = await load('openapi3', 'api-configuration');
+    assert.equal(new ApiConfiguration().rootUrl,
+      'https://example.com/inventory/v1');
+  });
+
+  it('generates the component schemas as models', () => {
+    assert.match(source('openapi3', 'models/item'),
+      /description\?: null \| string;/);
+    assert.match(source('openapi3', 'models/color'), /'red'/);
+  });
+
+  it('ignores cookie parameters, including referenced ones', async () => {
+    const result = await generate({ swagger: fixture('openapi3.json'),
+      output: 'unused', dryRun: true, silent: true });
+    assert.ok(result.warnings.includes("Ignoring cookie parameter 'trace'"));
+    assert.ok(result.warnings.includes("Ignoring cookie parameter 'session'"));
+    const service = source('openapi3', 'services/items.service');
+    assert.doesNotMatch(service, /trace|session/);
+  });
+
+  it('uses the schema of parameters described by content', async () => {
+    const result = await generate({ swagger: fixture('openapi3.json'),
+      output: 'unused', dryRun: true, silent: true });
+    assert.ok(result.warnings.includes("Ignoring parameter 'filter' because " +
+      'its content is not of a primitive type'));
+    const service = source('openapi3', 'services/items.service');
+    assert.match(service, /color\?: Color;/);
+    assert.doesNotMatch(service, /filter\?/);
+  });
+
+  it('sends the query parameters according to their style', async () => {
+    const { http, requests } = fakeHttp();
+    const service = await itemsService(http);
+    await firstValueFrom(service.listItems({ page: 2, ids: [1, 2],
+      codes: ['a', 'b'], color: 'red' }));
+    const request = requests[0];
+    assert.equal(request.url, 'https://example.com/inventory/v1/items');
+    assert.equal(request.params.get('page'), '2');
+    assert.deepEqual(request.params.getAll('ids'), ['1', '2']);
+    assert.deepEqual(request.params.getAll('codes'), ['a,b']);
+    assert.equal(request.params.get('color'), 'red');
+  });
+
+  it('sends a referenced request body', async () => {
+    const { http, requests } = fakeHttp(() =>
+      new HttpResponse({ status: 201, body: { id: '1', name: 'Pen' } }));
+    const service = await itemsService(http);
+    const item = await firstValueFrom(service.createItem({ name: 'Pen' }));
+    assert.equal(requests[0].method, 'POST');
+    assert.deepEqual(requests[0].body, { name: 'Pen' });
+    assert.deepEqual(item, { id: '1', name: 'Pen' });
+  });
+
+  it('sends form request bodies as form data', async () => {
+    const { http, requests } = fakeHttp();
+    const service = await itemsService(http);
+    await firstValueFrom(service.updateItem({ id: '1', name: 'Pen' }));
+    assert.equal(requests[0].method, 'PUT');
+    assert.equal(requests[0].url, 'https://example.com/inventory/v1/items/1');
+    assert.equal(requests[0].body.get('name'), 'Pen');
+  });
+
+  it('reads text responses', async () => {
+    const { http, requests } = fakeHttp(() =>
+      new HttpResponse({ status: 200, body: 'Label' }));
+    const service = await itemsService(http);
+    assert.equal(await firstValueFrom(service.getLabel('1')), 'Label');
+    assert.equal(requests[0].responseType, 'text');
+  });
+});
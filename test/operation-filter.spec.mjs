@@ -0,0 +1,52 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'node:fs';
+import path from 'node:path';
+import { createRequire } from 'node:module';
+import { fixture, load, outputDir } from './helpers.mjs';
+
+const { generate } = createRequire(import.meta.url)('..');
+
+/**
+ * Returns the names of the generated files in the given folder of a target
+ */
+const files = (target, folder) =>
+  fs.readdirSync(path.join(outputDir, 'ts', target, folder)).sort();
+
+/**
+ * Returns the operations of a generated service class
+ */
+const operations = service => Object.getOwnPropertyNames(service.prototype)
+  .filter(name => name !== 'constructor' && !name.endsWith('Response'))
+  .sort();
+
+describe('Operation filter', () => {
+  it('keeps the included operations, except the excluded ones', async () => {
+    const { PetsService } = await load('operations', 'services/pets.service');
+    assert.deepEqual(operations(PetsService), ['getPet', 'listPets']);
+    const { ApiService } = await load('operations', 'services/api.service');
+    assert.deepEqual(operations(ApiService), ['health']);
+  });
+
+  it('removes services without operations', () => {
+    assert.deepEqual(files('operations', 'services'),
+      ['api.service.ts', 'pets.service.ts']);
+  });
+
+  it('removes the models only used by removed operations', () => {
+    assert.deepEqual(files('operations', 'models'), [
+      'cat.ts', 'dog.ts', 'error.ts', 'owner.ts', 'pet-status.ts', 'pet.ts',
+      'priority.ts',
+    ]);
+  });
+
+  it('rejects invalid rules', async () => {
+    await assert.rejects(generate({
+      swagger: fixture('petstore.json'),
+      output: path.join(outputDir, 'invalid'),
+      silent: true,
+      dryRun: true,
+      includeOperations: { path: '/pets' },
+    }), { code: 'INVALID_OPTIONS' });
+  });
+});
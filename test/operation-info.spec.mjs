@@ -0,0 +1,41 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { firstValueFrom } from 'rxjs';
+import { createService, fakeHttp, load } from './helpers.mjs';
+
+describe('Operation metadata', () => {
+  it('has the operation attributes', async () => {
+    const { OPERATIONS, findOperation } = await load('defaults', 'operations');
+    assert.deepEqual(OPERATIONS.PetsService.getPet, {
+      operationId: 'getPet',
+      tags: ['Pets'],
+      service: 'PetsService',
+      method: 'GET',
+      path: '/pets/{petId}',
+      security: [],
+    });
+    assert.equal(findOperation('createPet'), OPERATIONS.PetsService.createPet);
+    assert.equal(findOperation('missing'), null);
+  });
+
+  it('has the declared security, including unsupported schemes', async () => {
+    const { OPERATIONS } = await load('security', 'operations');
+    const security = name => OPERATIONS.ItemsService[name].security;
+    assert.deepEqual(security('listItems'), [['apiKey']]);
+    assert.deepEqual(security('getPublic'), []);
+    assert.deepEqual(security('getSession'), [['session']]);
+    assert.deepEqual(security('getEither'), [['basic'], ['token']]);
+    assert.deepEqual(security('getBoth'), [['apiKey', 'token']]);
+    assert.deepEqual(security('getOptional'), [['bearer'], []]);
+  });
+
+  it('is sent in the context of the requests', async () => {
+    const { OPERATION_INFO, OPERATIONS } = await load('security', 'operations');
+    const { http, requests } = fakeHttp();
+    const service = await createService('security', 'items.service',
+      'ItemsService', http);
+    await firstValueFrom(service.getSession());
+    assert.equal(requests[0].context.get(OPERATION_INFO),
+      OPERATIONS.ItemsService.getSession);
+  });
+});
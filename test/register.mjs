@@ -0,0 +1,7 @@
+// Loaded before the specs. The Angular packages are partially compiled, so
+// they need the JIT compiler. Also, the imports in the generated code have no
+// file extension, so they are resolved by the hooks.
+import '@angular/compiler';
+import { register } from 'node:module';
+
+register('./hooks.mjs', import.meta.url);
@@ -0,0 +1,52 @@
+'use strict';
+
+/**
+ * Runs the tests: generates the clients listed in `targets.js`, type checks
+ * and compiles them with the TypeScript compiler, then runs the specs
+ * (`*.spec.mjs`) with the Node test runner. Exits with a non-zero status when
+ * any of these steps fails.
+ */
+const fs = require('fs');
+const path = require('path');
+const childProcess = require('child_process');
+const { generate } = require('..');
+const targets = require('./targets');
+
+const output = path.join(__dirname, 'output');
+
+// Runs node with the given arguments, exiting when it fails
+function node(args, failure) {
+  const run = childProcess.spawnSync(process.execPath, args,
+    { cwd: __dirname, stdio: 'inherit' });
+  if (run.status !== 0) {
+    console.error(failure);
+    process.exit(1);
+  }
+}
+
+fs.rmSync(output, { recursive: true, force: true });
+generate({
+  silent: true,
+  targets: targets.map(target => {
+    const options = Object.assign({}, target);
+    delete options.name;
+    options.output = path.join(output, 'ts', target.name);
+    return options;
+  }),
+})
+  .then(result => {
+    console.log('Generated ' + result.written.length + ' files in ' +
+      targets.length + ' targets');
+    node([require.resolve('typescript/bin/tsc'), '-p', 'tsconfig.json'],
+      'The generated code has compilation errors');
+    fs.writeFileSync(path.join(output, 'js', 'package.json'),
+      JSON.stringify({ type: 'module' }));
+    const specs = fs.readdirSync(__dirname)
+      .filter(file => file.endsWith('.spec.mjs'));
+    node(['--import', './register.mjs', '--test', '--test-reporter=spec']
+      .concat(specs), 'Some specs have failed');
+  })
+  .catch(error => {
+    console.error(error.message);
+    process.exit(1);
+  });
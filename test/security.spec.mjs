@@ -0,0 +1,73 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { firstValueFrom } from 'rxjs';
+import { createService, fakeHttp } from './helpers.mjs';
+
+/**
+ * Calls an operation of the security fixture with the given configuration
+ * settings, returning the sent request
+ */
+async function send(operation, settings) {
+  const { http, requests } = fakeHttp();
+  const service = await createService('security', 'items.service',
+    'ItemsService', http, settings);
+  await firstValueFrom(service[operation]());
+  return requests[0];
+}
+
+const apiKey = { apiKeyProvider: () => 'key' };
+const token = { tokenProvider: () => 'token' };
+const basic = { basicProvider: () => ({ username: 'user', password: 'pass' }) };
+
+describe('Security', () => {
+  it('applies the global security', async () => {
+    assert.equal((await send('listItems', apiKey)).headers.get('X-Api-Key'),
+      'key');
+    assert.equal((await send('listItems', {})).headers.has('X-Api-Key'),
+      false);
+  });
+
+  it('sends no credentials to operations without security', async () => {
+    const request = await send('getPublic', { ...apiKey, ...token });
+    assert.equal(request.headers.has('X-Api-Key'), false);
+    assert.equal(request.params.has('token'), false);
+  });
+
+  it('ignores requirements of unsupported schemes', async () => {
+    const request = await send('getSession', { ...apiKey, ...token });
+    assert.deepEqual(request.headers.keys(), []);
+    assert.deepEqual(request.params.keys(), []);
+  });
+
+  it('uses the first alternative with all credentials available', async () => {
+    let request = await send('getEither', { ...basic, ...token });
+    assert.equal(request.headers.get('Authorization'),
+      'Basic ' + btoa('user:pass'));
+    assert.equal(request.params.has('token'), false);
+
+    request = await send('getEither', token);
+    assert.equal(request.headers.has('Authorization'), false);
+    assert.equal(request.params.get('token'), 'token');
+
+    request = await send('getEither', {});
+    assert.equal(request.headers.has('Authorization'), false);
+    assert.equal(request.params.has('token'), false);
+  });
+
+  it('requires all schemes of a requirement', async () => {
+    let request = await send('getBoth', apiKey);
+    assert.equal(request.headers.has('X-Api-Key'), false);
+
+    request = await send('getBoth', { ...apiKey, ...token });
+    assert.equal(request.headers.get('X-Api-Key'), 'key');
+    assert.equal(request.params.get('token'), 'token');
+  });
+
+  it('sends optional credentials when available', async () => {
+    let request = await send('getOptional', { bearerProvider: () => 'abc' });
+    assert.equal(request.headers.get('Authorization'), 'Bearer abc');
+
+    request = await send('getOptional', { bearerProvider: () => null });
+    assert.equal(request.headers.has('Authorization'), false);
+  });
+});
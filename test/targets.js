@@ -0,0 +1,67 @@
+'use strict';
+
+/**
+ * The clients generated by `npm test`. Each target is generated with the given
+ * options in `test/output/ts/<name>`, then compiled to `test/output/js/<name>`,
+ * from where the specs import it.
+ */
+const path = require('path');
+
+const fixture = name => path.join(__dirname, 'fixtures', name);
+
+module.exports = [
+  {
+    name: 'defaults',
+    swagger: fixture('petstore.json'),
+  },
+  {
+    name: 'features',
+    swagger: fixture('petstore.json'),
+    enumStyle: 'enum',
+    multiTagStrategy: 'combined',
+    apiProvider: true,
+    dateType: 'Date',
+    generateExamples: true,
+    generateValidators: true,
+    generateForms: true,
+    generateMocks: true,
+  },
+  {
+    name: 'no-deprecated',
+    swagger: fixture('petstore.json'),
+    excludeDeprecated: true,
+  },
+  {
+    name: 'operations',
+    swagger: fixture('petstore.json'),
+    includeOperations: [
+      { path: '/pets/**', methods: ['get'] },
+      { operationIds: ['health', 'getStats'] },
+    ],
+    excludeOperations: [
+      { path: '/pets/*/photo' },
+      { extensions: { 'x-internal': true } },
+    ],
+  },
+  {
+    name: 'inline',
+    swagger: fixture('inline.json'),
+  },
+  {
+    name: 'hoisted',
+    swagger: fixture('inline.json'),
+    hoistInlineModels: true,
+  },
+  {
+    name: 'arrays',
+    swagger: fixture('arrays.json'),
+  },
+  {
+    name: 'openapi3',
+    swagger: fixture('openapi3.json'),
+  },
+  {
+    name: 'security',
+    swagger: fixture('security.json'),
+  },
+];